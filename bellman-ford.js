@@ -1,121 +1,175 @@
 const BN = require('bn.js');
 const config = require('./config');
-const exchanges = require('./exchanges');
+const exchanges = require('./exchange');
+const flashReserves = require('./flash-reserves');
 
 /**
- * A direct scan arbitrage detector optimized specifically for SOL two-hop paths
- * This replaces the more complex Bellman-Ford implementation with a simpler,
- * more efficient direct approach for the specific SOL->TOKEN->SOL case
+ * Bellman-Ford arbitrage detector
+ * Builds a -log(rate) graph over every pair in config.TOKENS and looks for
+ * negative cycles of up to config.MAX_CYCLE_LENGTH hops through each token
+ * we can flash-borrow (see flash-reserves.js)
  */
 const bellmanFord = {
     /**
-     * Build a simplified exchange rate map focused only on SOL pairs
+     * Quote one directed edge and convert it to a graph edge
+     * @returns {Promise<Object|null>} Edge, or null when no quote is available
+     */
+    quoteEdge: async function(fromIndex, toIndex, inputAmount, connection) {
+        const fromToken = config.TOKENS[fromIndex];
+        const toToken = config.TOKENS[toIndex];
+        
+        try {
+            console.log(`Checking ${fromToken.name} -> ${toToken.name} rate...`);
+            const quote = await exchanges.getJupiterQuote(
+                fromToken.mint,
+                toToken.mint,
+                inputAmount,
+                connection
+            );
+            
+            if (!quote) {
+                return null;
+            }
+            
+            const inputValue = parseFloat(new BN(inputAmount).toString()) / Math.pow(10, fromToken.decimals);
+            const outputValue = parseFloat(new BN(quote.outAmount).toString()) / Math.pow(10, toToken.decimals);
+            
+            const rate = outputValue / inputValue;
+            const dexNames = quote.dexNames || 'Jupiter';
+            
+            if (!(rate > 0)) {
+                return null;
+            }
+            
+            console.log(`Rate ${fromToken.name} -> ${toToken.name}: ${rate.toFixed(6)} via [${dexNames}]`);
+            
+            return {
+                from: fromIndex,
+                to: toIndex,
+                fromToken,
+                toToken,
+                rate: rate,
+                weight: -Math.log(rate),
+                outAmount: quote.outAmount,
+                routePlan: quote.routePlan || [],
+                dexNames: dexNames,
+                inAmount: inputAmount.toString()
+            };
+        } catch (error) {
+            console.error(`Error getting rate for ${fromToken.name} -> ${toToken.name}:`, error.message);
+            return null;
+        }
+    },
+    
+    /**
+     * Build the exchange rate graph over every ordered token pair
+     * Each token is quoted with roughly STANDARD_AMOUNT of SOL worth of input
+     * so rates reflect comparable trade sizes
      */
     buildExchangeRateGraph: async function(payer, connection) {
-        console.log("Building direct SOL-pair exchange rate map for arbitrage detection...");
+        console.log("Building full exchange rate graph for Bellman-Ford arbitrage detection...");
         const graph = [];
         
         const solTokenIndex = 0; // Index of SOL in TOKENS array
-        const solToken = config.TOKENS[solTokenIndex];
+        const inputAmounts = { [solTokenIndex]: config.STANDARD_AMOUNT };
         
-        // Only scan for direct SOL -> TOKEN and TOKEN -> SOL pairs
-        // This is much more efficient than checking all possible token pairs
-        console.log("Scanning only for SOL↔TOKEN direct pairs (optimized for two-hop arbitrage)");
-        
-        // For each token except SOL
+        // 1. SOL -> TOKEN edges, which also give the SOL-equivalent input size for each token
         for (let tokenIndex = 0; tokenIndex < config.TOKENS.length; tokenIndex++) {
-            if (tokenIndex === solTokenIndex) continue; // Skip SOL itself
+            if (tokenIndex === solTokenIndex) continue;
             
-const token = config.TOKENS[tokenIndex];
-            const standardInputAmount = config.STANDARD_AMOUNT;
+            const edge = await bellmanFord.quoteEdge(solTokenIndex, tokenIndex, config.STANDARD_AMOUNT, connection);
+            if (edge) {
+                graph.push(edge);
+                inputAmounts[tokenIndex] = edge.outAmount;
+            }
+        }
+        
+        // 2. Every other ordered pair, starting from tokens we could size
+        for (let fromIndex = 0; fromIndex < config.TOKENS.length; fromIndex++) {
+            if (fromIndex === solTokenIndex) continue;
             
-            console.log(`\nScanning ${solToken.name}↔${token.name} pair for arbitrage opportunities...`);
+            if (!inputAmounts[fromIndex]) {
+                console.log(`No SOL -> ${config.TOKENS[fromIndex].name} quote, skipping edges from ${config.TOKENS[fromIndex].name}`);
+                continue;
+            }
             
-            // 1. Check SOL -> TOKEN direction
-            try {
-                console.log(`Checking ${solToken.name} -> ${token.name} rate...`);
-                const solToTokenQuote = await exchanges.getJupiterQuote(
-                    solToken.mint, 
-                    token.mint, 
-                    standardInputAmount,
-                    connection
-                );
+            for (let toIndex = 0; toIndex < config.TOKENS.length; toIndex++) {
+                if (toIndex === fromIndex) continue;
                 
-                if (solToTokenQuote) {
-                    const inputAmount = new BN(standardInputAmount);
-                    const outputAmount = new BN(solToTokenQuote.outAmount);
-                    
-                    const inputValue = parseFloat(inputAmount.toString()) / Math.pow(10, solToken.decimals);
-                    const outputValue = parseFloat(outputAmount.toString()) / Math.pow(10, token.decimals);
-                    
-                    const rate = outputValue / inputValue;
-                    const dexNames = solToTokenQuote.dexNames || 'Jupiter';
-                    
-                    console.log(`Rate ${solToken.name} -> ${token.name}: ${rate.toFixed(6)} via [${dexNames}]`);
-                    
-                    graph.push({
-                        from: solTokenIndex,
-                        to: tokenIndex,
-                        fromToken: solToken,
-                        toToken: token,
-                        rate: rate,
-                        outAmount: solToTokenQuote.outAmount,
-                        routePlan: solToTokenQuote.routePlan || [],
-                        dexNames: dexNames,
-                        inAmount: standardInputAmount
-                    });
+                const edge = await bellmanFord.quoteEdge(fromIndex, toIndex, inputAmounts[fromIndex], connection);
+                if (edge) {
+                    graph.push(edge);
                 }
-            } catch (error) {
-                console.error(`Error getting rate for ${solToken.name} -> ${token.name}:`, error.message);
             }
+        }
+        
+        console.log(`\nBuilt exchange rate graph with ${graph.length} edges across ${config.TOKENS.length} tokens`);
+        return graph;
+    },
+    
+    /**
+     * Base units of a token per lamport, from the graph's SOL -> token quote
+     * Used to charge SOL costs (tips, priority fees) against loans in other tokens
+     * @returns {number|null} Rate, or null when SOL -> token was not quoted
+     */
+    getSolConversionRate: function(graph, tokenIndex) {
+        if (config.TOKENS[tokenIndex].mint === config.WSOL_MINT.toBase58()) {
+            return 1;
+        }
+        
+        const edge = graph.find(e => e.fromToken.mint === config.WSOL_MINT.toBase58() && e.to === tokenIndex);
+        return edge ? parseInt(edge.outAmount) / parseInt(edge.inAmount) : null;
+    },
+    
+    /**
+     * Hop-limited Bellman-Ford from the source token
+     * After k rounds of relaxation, layers[k][v] holds the lowest-weight simple
+     * path of exactly k edges from the source to v (excluding the source itself)
+     * @returns {Array<Array<Object|null>>} Layers of {weight, path} per token index
+     */
+    relaxFromSource: function(graph, sourceIndex, maxHops) {
+        const tokenCount = config.TOKENS.length;
+        const layers = [new Array(tokenCount).fill(null)];
+        layers[0][sourceIndex] = { weight: 0, path: [] };
+        
+        for (let hop = 1; hop <= maxHops; hop++) {
+            const layer = new Array(tokenCount).fill(null);
             
-            // 2. Check TOKEN -> SOL direction
-            try {
-                console.log(`Checking ${token.name} -> ${solToken.name} rate...`);
-                const tokenToSolQuote = await exchanges.getJupiterQuote(
-                    token.mint, 
-                    solToken.mint, 
-                    standardInputAmount,
-                    connection
-                );
+            for (const edge of graph) {
+                const previous = layers[hop - 1][edge.from];
+                if (!previous) continue;
                 
-                if (tokenToSolQuote) {
-                    const inputAmount = new BN(standardInputAmount);
-                    const outputAmount = new BN(tokenToSolQuote.outAmount);
-                    
-                    const inputValue = parseFloat(inputAmount.toString()) / Math.pow(10, token.decimals);
-                    const outputValue = parseFloat(outputAmount.toString()) / Math.pow(10, solToken.decimals);
-                    
-                    const rate = outputValue / inputValue;
-                    const dexNames = tokenToSolQuote.dexNames || 'Jupiter';
-                    
-                    console.log(`Rate ${token.name} -> ${solToken.name}: ${rate.toFixed(6)} via [${dexNames}]`);
-                    
-                    graph.push({
-                        from: tokenIndex,
-                        to: solTokenIndex,
-                        fromToken: token,
-                        toToken: solToken,
-                        rate: rate,
-                        outAmount: tokenToSolQuote.outAmount,
-                        routePlan: tokenToSolQuote.routePlan || [],
-                        dexNames: dexNames,
-                        inAmount: standardInputAmount
-                    });
+                // Paths stay simple and never return to the source; the caller adds the closing edge
+                if (edge.to === sourceIndex || previous.path.some(e => e.to === edge.to)) continue;
+                
+                const weight = previous.weight + edge.weight;
+                if (!layer[edge.to] || weight < layer[edge.to].weight) {
+                    layer[edge.to] = { weight, path: [...previous.path, edge] };
                 }
-            } catch (error) {
-                console.error(`Error getting rate for ${token.name} -> ${solToken.name}:`, error.message);
             }
+            
+            layers.push(layer);
         }
         
-        console.log(`\nBuilt exchange rate map with ${graph.length} edges (only SOL-related pairs)`);
-        return graph;
+        return layers;
+    },
+    
+    /**
+     * Key shared by every rotation of a cycle (0-1-2-0, 1-2-0-1 and 2-0-1-2)
+     * The token list is rotated to start at its smallest index
+     * @param {Array<number>} cycle Token indexes, first and last equal
+     * @returns {string}
+     */
+    getCycleKey: function(cycle) {
+        const tokens = cycle.slice(0, -1);
+        const start = tokens.indexOf(Math.min(...tokens));
+        return [...tokens.slice(start), ...tokens.slice(0, start)].join('-');
     },
     
     /**
-     * Find arbitrage opportunities using a direct scan approach
-     * This is much simpler and more efficient than Bellman-Ford for the specific
-     * two-hop case (SOL -> TOKEN -> SOL)
+     * Find negative cycles of up to MAX_CYCLE_LENGTH hops through every root token
+     * A cycle through several root tokens is only reported for the first of them
+     * @returns {Array<{cycle: Array<number>, edges: Array, profitPercentage: number}>|null}
      */
     findArbitrageOpportunities: function(graph) {
         if (!graph || graph.length === 0) {
@@ -123,62 +177,19 @@ const token = config.TOKENS[tokenIndex];
             return null;
         }
         
-        console.log("\nScanning for two-hop arbitrage opportunities (SOL -> TOKEN -> SOL)...");
-        
-        const solTokenIndex = 0; // Index of SOL in TOKENS array
+        const maxCycleLength = Math.max(2, config.MAX_CYCLE_LENGTH || 2);
         const arbitrageOpportunities = [];
+        const seen = new Set();
         
-        // For each token except SOL
-        for (let tokenIndex = 0; tokenIndex < config.TOKENS.length; tokenIndex++) {
-            if (tokenIndex === solTokenIndex) continue; // Skip SOL itself
-            
-            const token = config.TOKENS[tokenIndex];
-            
-            // Find SOL -> TOKEN edge
-            const solToTokenEdge = graph.find(e => e.from === solTokenIndex && e.to === tokenIndex);
-            if (!solToTokenEdge) {
-                console.log(`No ${config.TOKENS[solTokenIndex].name} -> ${token.name} path found, skipping`);
-                continue;
-            }
-            
-            // Find TOKEN -> SOL edge
-            const tokenToSolEdge = graph.find(e => e.from === tokenIndex && e.to === solTokenIndex);
-            if (!tokenToSolEdge) {
-                console.log(`No ${token.name} -> ${config.TOKENS[solTokenIndex].name} path found, skipping`);
-                continue;
-            }
-            
-            // Calculate round-trip rate
-            const roundTripRate = solToTokenEdge.rate * tokenToSolEdge.rate;
-            const profitPercentage = (roundTripRate - 1) * 100;
-            
-            // Create a detailed description of the arbitrage path
-            const dexPath = `${solToTokenEdge.fromToken.name} -> ${solToTokenEdge.toToken.name} via [${solToTokenEdge.dexNames}] -> ${tokenToSolEdge.toToken.name} via [${tokenToSolEdge.dexNames}]`;
-            
-            console.log(`Found cycle: ${dexPath}`);
-            console.log(`Round-trip rate: ${roundTripRate.toFixed(6)}, Profit: ${profitPercentage.toFixed(4)}%`);
-            
-            // Check if this opportunity exceeds our profit threshold
-            if (profitPercentage >= config.MIN_PROFIT_PERCENTAGE) {
-                console.log(`Profitable opportunity found!`);
-                
-                arbitrageOpportunities.push({
-                    cycle: [solTokenIndex, tokenIndex, solTokenIndex],
-                    edges: [solToTokenEdge, tokenToSolEdge],
-                    profitPercentage: profitPercentage,
-                    roundTripRate: roundTripRate,
-                    dexPath: dexPath
-                });
-            } else {
-                console.log(`Profit ${profitPercentage.toFixed(4)}% below threshold (${config.MIN_PROFIT_PERCENTAGE}%), ignoring`);
-            }
+        for (const rootIndex of flashReserves.getRootTokenIndexes()) {
+            bellmanFord.findCyclesThrough(graph, rootIndex, maxCycleLength, arbitrageOpportunities, seen);
         }
         
         // Sort by profitability
         arbitrageOpportunities.sort((a, b) => b.profitPercentage - a.profitPercentage);
         
         if (arbitrageOpportunities.length > 0) {
-            console.log(`\nFound ${arbitrageOpportunities.length} profitable two-hop arbitrage opportunities!`);
+            console.log(`\nFound ${arbitrageOpportunities.length} profitable arbitrage cycles!`);
             
             // Display top 3 opportunities
             for (let i = 0; i < Math.min(3, arbitrageOpportunities.length); i++) {
@@ -189,9 +200,66 @@ const token = config.TOKENS[tokenIndex];
             
             return arbitrageOpportunities;
         } else {
-            console.log("No profitable two-hop arbitrage opportunities found");
+            console.log("No profitable arbitrage cycles found");
             return null;
         }
+    },
+    
+    /**
+     * Collect profitable negative cycles that start and end at rootIndex
+     */
+    findCyclesThrough: function(graph, rootIndex, maxCycleLength, arbitrageOpportunities, seen) {
+        console.log(`\nRunning Bellman-Ford for negative cycles through ${config.TOKENS[rootIndex].name} (up to ${maxCycleLength} hops)...`);
+        
+        // Paths of up to maxCycleLength - 1 hops, each closed by an edge back to the root
+        const layers = bellmanFord.relaxFromSource(graph, rootIndex, maxCycleLength - 1);
+        const closingEdges = graph.filter(e => e.to === rootIndex);
+        const solConversionRate = bellmanFord.getSolConversionRate(graph, rootIndex);
+        
+        for (let hop = 1; hop < layers.length; hop++) {
+            for (const closingEdge of closingEdges) {
+                const open = layers[hop][closingEdge.from];
+                if (!open) continue;
+                
+                const edges = [...open.path, closingEdge];
+                const cycle = [rootIndex, ...edges.map(e => e.to)];
+                const key = bellmanFord.getCycleKey(cycle);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                
+                const totalWeight = open.weight + closingEdge.weight;
+                const roundTripRate = Math.exp(-totalWeight);
+                const profitPercentage = (roundTripRate - 1) * 100;
+                
+                const dexPath = edges.map((e, i) =>
+                    `${i === 0 ? e.fromToken.name + ' -> ' : ''}${e.toToken.name} via [${e.dexNames}]`
+                ).join(' -> ');
+                
+                // Only negative cycles (round trip above 1) are arbitrage
+                if (totalWeight >= 0) {
+                    if (config.VERBOSE_DEBUG) {
+                        console.log(`No negative cycle: ${dexPath} (${profitPercentage.toFixed(4)}%)`);
+                    }
+                    continue;
+                }
+                
+                console.log(`Found negative cycle: ${dexPath}`);
+                console.log(`Round-trip rate: ${roundTripRate.toFixed(6)}, Profit: ${profitPercentage.toFixed(4)}%`);
+                
+                if (profitPercentage >= config.MIN_PROFIT_PERCENTAGE) {
+                    arbitrageOpportunities.push({
+                        cycle,
+                        edges,
+                        profitPercentage: profitPercentage,
+                        roundTripRate: roundTripRate,
+                        dexPath: dexPath,
+                        solConversionRate
+                    });
+                } else {
+                    console.log(`Profit ${profitPercentage.toFixed(4)}% below threshold (${config.MIN_PROFIT_PERCENTAGE}%), ignoring`);
+                }
+            }
+        }
     }
 };
 
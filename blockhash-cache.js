@@ -0,0 +1,78 @@
+const config = require('./config');
+
+// Latest blockhash: { blockhash, lastValidBlockHeight, fetchedAt }
+let latest = null;
+let refreshTimer = null;
+let refreshing = false;
+let watchedConnection = null;
+
+/**
+ * Background blockhash prefetch shared by every transaction builder
+ * A blockhash is fetched every BLOCKHASH_REFRESH_INTERVAL so building a
+ * transaction never waits on getLatestBlockhash. This module must not
+ * require utils.js, which reads from it
+ */
+const blockhashCache = {
+    /**
+     * Fetch the first blockhash and keep refreshing it in the background
+     * @param {Connection} connection Solana connection
+     * @returns {Promise<boolean>} False if the first blockhash could not be fetched
+     */
+    start: async function(connection) {
+        blockhashCache.stop();
+        watchedConnection = connection;
+        
+        await blockhashCache.refresh();
+        refreshTimer = setInterval(() => blockhashCache.refresh(), config.BLOCKHASH_REFRESH_INTERVAL);
+        // The refresh alone should not keep the process running
+        refreshTimer.unref();
+        
+        return latest !== null;
+    },
+    
+    stop: function() {
+        if (refreshTimer) {
+            clearInterval(refreshTimer);
+            refreshTimer = null;
+        }
+    },
+    
+    /**
+     * Fetch a new blockhash, skipping the tick if the previous fetch is still running
+     */
+    refresh: async function() {
+        if (refreshing || !watchedConnection) {
+            return;
+        }
+        
+        refreshing = true;
+        try {
+            const { blockhash, lastValidBlockHeight } = await watchedConnection.getLatestBlockhash('confirmed');
+            latest = { blockhash, lastValidBlockHeight, fetchedAt: Date.now() };
+        } catch (error) {
+            console.error("Error refreshing blockhash:", error.message);
+        } finally {
+            refreshing = false;
+        }
+    },
+    
+    /**
+     * Latest blockhash, read synchronously
+     * @returns {{blockhash: string, lastValidBlockHeight: number}}
+     * @throws {Error} When the cache is not running or has not refreshed within BLOCKHASH_MAX_AGE
+     */
+    get: function() {
+        if (!latest) {
+            throw new Error("No blockhash available: the blockhash cache has not been started");
+        }
+        
+        const age = Date.now() - latest.fetchedAt;
+        if (age > config.BLOCKHASH_MAX_AGE) {
+            throw new Error(`Cached blockhash is ${(age/1000).toFixed(1)} seconds old: blockhash refresh is failing`);
+        }
+        
+        return { blockhash: latest.blockhash, lastValidBlockHeight: latest.lastValidBlockHeight };
+    }
+};
+
+module.exports = blockhashCache;
@@ -0,0 +1,124 @@
+const config = require('./config');
+const utils = require('./utils');
+const jitoRegions = require('./jito-regions');
+
+/**
+ * Follows a submitted Jito bundle until it lands, fails or times out
+ * getInflightBundleStatuses reports bundles from the last five minutes
+ * (Pending, Landed, Failed or Invalid when unknown); getBundleStatuses
+ * gives the slot and signatures of a landed bundle. Every region that
+ * accepted the bundle is polled, and the one reporting it landed is credited
+ */
+const bundleTracker = {
+    /**
+     * Call a Jito block engine JSON-RPC method for one bundle
+     * @param {string} method JSON-RPC method
+     * @param {string} bundleId Bundle ID
+     * @param {{name: string, url: string}} region Block engine region to ask
+     * @returns {Promise<Object|null>} The bundle's status entry, or null if there is none yet
+     */
+    requestStatus: async function(method, bundleId, region) {
+        const data = await jitoRegions.post(region, {
+            jsonrpc: "2.0",
+            id: 1,
+            method,
+            params: [[bundleId]]
+        });
+        
+        if (data.error) {
+            throw new Error(`${method}: ${data.error.message || JSON.stringify(data.error)}`);
+        }
+        
+        const value = data.result && data.result.value;
+        return value && value[0] ? value[0] : null;
+    },
+    
+    /**
+     * Inflight status of the bundle in one region, "Unknown" when the request fails
+     * @returns {Promise<{region: Object, status: string, inflight: Object|null}>}
+     */
+    requestInflightStatus: async function(bundleId, region) {
+        try {
+            const inflight = await bundleTracker.requestStatus("getInflightBundleStatuses", bundleId, region);
+            return { region, status: inflight ? inflight.status : "Invalid", inflight };
+        } catch (error) {
+            console.error(`Error checking bundle status in ${region.name}:`, error.message);
+            return { region, status: "Unknown", inflight: null };
+        }
+    },
+    
+    /**
+     * Poll until the bundle lands, fails or JITO_BUNDLE_STATUS_TIMEOUT passes
+     * @param {string} bundleId Bundle ID returned by sendBundle
+     * @param {Array<{name: string, url: string}>} regions Regions that accepted the bundle
+     * @returns {Promise<{landed: boolean, status: string, region?: string, slot?: number, signatures?: Array<string>, confirmationStatus?: string, error?: string}>}
+     */
+    waitForBundle: async function(bundleId, regions = jitoRegions.getRegions()) {
+        const deadline = Date.now() + config.JITO_BUNDLE_STATUS_TIMEOUT;
+        let lastStatus = "Unknown";
+        
+        console.log(`Tracking bundle ${bundleId} in ${regions.map(region => region.name).join(", ")} for up to ${config.JITO_BUNDLE_STATUS_TIMEOUT/1000} seconds...`);
+        
+        while (Date.now() < deadline) {
+            try {
+                const statuses = await Promise.all(regions.map(region => bundleTracker.requestInflightStatus(bundleId, region)));
+                const landedIn = statuses.find(entry => entry.status === "Landed");
+                
+                // Landed anywhere wins; failed only once every region has dropped it
+                let status = "Pending";
+                if (landedIn) {
+                    status = "Landed";
+                } else if (statuses.every(entry => entry.status === "Failed")) {
+                    status = "Failed";
+                } else if (statuses.every(entry => entry.status === "Invalid")) {
+                    status = "Invalid";
+                }
+                
+                if (status !== lastStatus) {
+                    console.log(`Bundle status: ${statuses.map(entry => `${entry.region.name} ${entry.status}`).join(", ")}`);
+                    lastStatus = status;
+                }
+                
+                if (status === "Failed") {
+                    return { landed: false, status: "failed", error: "Bundle failed in the block engine" };
+                }
+                
+                if (landedIn) {
+                    const region = landedIn.region;
+                    
+                    // The landed bundle holds the slot, signatures and execution result
+                    const landed = await bundleTracker.requestStatus("getBundleStatuses", bundleId, region);
+                    if (landed) {
+                        if (landed.err && landed.err.Ok === undefined) {
+                            return { landed: false, status: "failed", region: region.name, slot: landed.slot, signatures: landed.transactions, error: `Bundle landed with error: ${JSON.stringify(landed.err)}` };
+                        }
+                        
+                        jitoRegions.recordLanded(region);
+                        return {
+                            landed: true,
+                            status: "landed",
+                            region: region.name,
+                            slot: landed.slot,
+                            signatures: landed.transactions,
+                            confirmationStatus: landed.confirmation_status
+                        };
+                    }
+                    
+                    // Not indexed yet, the inflight status already carries the slot
+                    if (Date.now() + config.JITO_BUNDLE_STATUS_POLL_INTERVAL >= deadline) {
+                        jitoRegions.recordLanded(region);
+                        return { landed: true, status: "landed", region: region.name, slot: landedIn.inflight.landed_slot, signatures: [] };
+                    }
+                }
+            } catch (error) {
+                console.error("Error checking bundle status:", error.message);
+            }
+            
+            await utils.sleep(config.JITO_BUNDLE_STATUS_POLL_INTERVAL);
+        }
+        
+        return { landed: false, status: "timeout", error: `Bundle did not land within ${config.JITO_BUNDLE_STATUS_TIMEOUT/1000} seconds (last status: ${lastStatus})` };
+    }
+};
+
+module.exports = bundleTracker;
@@ -0,0 +1,153 @@
+const {
+    ComputeBudgetProgram,
+    TransactionMessage,
+    VersionedTransaction
+} = require('@solana/web3.js');
+const config = require('./config');
+const blockhashCache = require('./blockhash-cache');
+
+// Highest compute unit limit a transaction can request
+const MAX_COMPUTE_UNITS = 1400000;
+// First data byte of a SetComputeUnitLimit instruction
+const SET_COMPUTE_UNIT_LIMIT_TAG = 2;
+
+// Last measured compute units per route shape
+const unitsByShape = new Map();
+
+/**
+ * Compute unit limits sized from simulation
+ * The transaction is simulated once at the maximum limit, the limit is set
+ * to what it consumed plus a margin, and the measurement is reused for
+ * later trades with the same route shape
+ */
+const computeUnits = {
+    /**
+     * Key for transactions expected to consume the same compute: the flash
+     * loan provider and the DEXes of every leg in order
+     * @param {Object} provider Flash loan provider adapter
+     * @param {Array<Object>} quotes Jupiter quotes, one per leg
+     * @returns {string} Route shape key
+     */
+    getRouteShape: function(provider, quotes) {
+        const legs = quotes.map(quote => ((quote && quote.routePlan) || [])
+            .map(step => (step.swapInfo && step.swapInfo.label) || "unknown")
+            .join("+"));
+        return `${provider.name}|${legs.join(">")}`;
+    },
+    
+    /**
+     * Limit for a route shape: measured units plus margin, or COMPUTE_UNIT_LIMIT if never measured
+     */
+    getLimit: function(shape) {
+        const measured = unitsByShape.get(shape);
+        if (!measured) {
+            return config.COMPUTE_UNIT_LIMIT;
+        }
+        return Math.min(MAX_COMPUTE_UNITS, Math.ceil(measured * (1 + config.COMPUTE_UNIT_MARGIN_PERCENTAGE / 100)));
+    },
+    
+    record: function(shape, unitsConsumed) {
+        if (unitsConsumed) {
+            unitsByShape.set(shape, unitsConsumed);
+        }
+    },
+    
+    /**
+     * Drop a measurement that turned out to be wrong (e.g. the transaction ran out of compute)
+     */
+    forget: function(shape) {
+        unitsByShape.delete(shape);
+    },
+    
+    /**
+     * Keep the measurement fresh from the pre-send simulation, or drop it if that ran out of compute
+     * @param {string} shape Route shape key
+     * @param {Object} simulation Result of transactionSimulator.simulateFlashLoan
+     */
+    update: function(shape, simulation) {
+        const exhausted = (simulation.error || "").includes("ComputationalBudgetExceeded") ||
+            (simulation.logs || []).some(line => line.includes("exceeded CUs meter"));
+        
+        if (exhausted) {
+            console.log(`Compute unit limit for ${shape} was too low, it will be measured again`);
+            computeUnits.forget(shape);
+        } else if (simulation.ok) {
+            computeUnits.record(shape, simulation.unitsConsumed);
+        }
+    },
+    
+    /**
+     * Replace the SetComputeUnitLimit instruction in a list of instructions
+     * @returns {Array<TransactionInstruction>} New list with the same positions
+     */
+    withLimit: function(instructions, units) {
+        return instructions.map(instruction => {
+            if (instruction.programId.equals(ComputeBudgetProgram.programId) && instruction.data[0] === SET_COMPUTE_UNIT_LIMIT_TAG) {
+                return ComputeBudgetProgram.setComputeUnitLimit({ units });
+            }
+            return instruction;
+        });
+    },
+    
+    /**
+     * Simulate the instructions at the maximum limit and return what they consumed
+     * @param {Connection} connection Solana connection
+     * @param {Object} params Transaction to measure
+     * @returns {Promise<number|null>} Compute units consumed, or null if the simulation could not run
+     */
+    measure: async function(connection, { instructions, payerKey, lookupTables = [] }) {
+        try {
+            const { blockhash } = blockhashCache.get();
+            const message = new TransactionMessage({
+                payerKey,
+                recentBlockhash: blockhash,
+                instructions: computeUnits.withLimit(instructions, MAX_COMPUTE_UNITS)
+            }).compileToV0Message(lookupTables);
+            
+            const simulation = await connection.simulateTransaction(new VersionedTransaction(message), {
+                sigVerify: false,
+                replaceRecentBlockhash: true,
+                commitment: 'processed'
+            });
+            
+            const { err, unitsConsumed } = simulation.value;
+            if (err) {
+                // A failing transaction stops early, so what it consumed says nothing about the full route
+                console.log(`Compute unit probe failed: ${JSON.stringify(err)}`);
+                return null;
+            }
+            
+            return unitsConsumed || null;
+        } catch (error) {
+            console.error("Error measuring compute units:", error.message);
+            return null;
+        }
+    },
+    
+    /**
+     * Set the compute unit limit for a route shape, simulating first when it was never measured
+     * @param {Connection} connection Solana connection
+     * @param {Object} params Transaction to size
+     * @param {string} params.shape Route shape key from getRouteShape
+     * @param {Array<TransactionInstruction>} params.instructions Assembled instructions
+     * @param {PublicKey} params.payerKey Fee payer
+     * @param {Array<AddressLookupTableAccount>} params.lookupTables Tables to compile with
+     * @returns {Promise<{instructions: Array<TransactionInstruction>, units: number}>} Instructions with the limit set
+     */
+    applyLimit: async function(connection, { shape, instructions, payerKey, lookupTables = [] }) {
+        if (!unitsByShape.has(shape)) {
+            const unitsConsumed = await computeUnits.measure(connection, { instructions, payerKey, lookupTables });
+            if (unitsConsumed) {
+                console.log(`Measured ${unitsConsumed} compute units for ${shape}`);
+                computeUnits.record(shape, unitsConsumed);
+            }
+        }
+        
+        const units = computeUnits.getLimit(shape);
+        console.log(`Compute unit limit: ${units}${unitsByShape.has(shape) ? ` (${unitsByShape.get(shape)} measured + ${config.COMPUTE_UNIT_MARGIN_PERCENTAGE}%)` : " (default)"}`);
+        
+        return { instructions: computeUnits.withLimit(instructions, units), units };
+    }
+};
+
+module.exports = computeUnits;
@@ -2,8 +2,21 @@ const { PublicKey } = require('@solana/web3.js');
 
 module.exports = {
   // Core configuration
-  PRIVATE_KEY: "Your_private_key here",
-  RPC_ENDPOINT: "https://solana-rpc.publicnode.com",
+  // Wallet key source: "keystore" (encrypted, see manage-keystore.js), "file" (Solana CLI keypair) or "env"
+  // Never put a raw PRIVATE_KEY in this file - the bot refuses to start if one is present
+  KEY_SOURCE: "keystore",
+  KEYSTORE_FILE: "keystore.json",
+  KEYSTORE_PASSPHRASE_ENV: "KEYSTORE_PASSPHRASE", // Optional, otherwise the passphrase is prompted for
+  KEYPAIR_FILE: "~/.config/solana/id.json",
+  PRIVATE_KEY_ENV: "SOLANA_PRIVATE_KEY", // Base58 string or JSON byte array
+  RPC_ENDPOINT: "https://solana-rpc.publicnode.com", // Used when RPC_ENDPOINTS is empty
+  RPC_ENDPOINTS: [ // Pooled RPC nodes: reads go to the healthiest, transactions are sent through all of them
+    "https://solana-rpc.publicnode.com",
+    "https://api.mainnet-beta.solana.com"
+  ],
+  RPC_HEALTH_CHECK_INTERVAL: 5000, // Measure each node's latency and slot every 5 seconds
+  RPC_MAX_SLOT_LAG: 10, // Nodes further behind the best node only serve reads when no other node is healthy
+  RPC_RATE_LIMIT_BACKOFF: 10000, // Skip a node for 10 seconds after it returns 429
   JUPITER_API_URL: "https://quote-api.jup.ag/v6",
   
   // Token mints and program IDs
@@ -14,6 +27,7 @@ module.exports = {
   TOKEN_PROGRAM_ID: new PublicKey("TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA"),
   ASSOCIATED_TOKEN_PROGRAM_ID: new PublicKey("ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL"),
   SYSVAR_INSTRUCTIONS_PUBKEY: new PublicKey("Sysvar1nstructions1111111111111111111111111"),
+  JUPITER_PROGRAM_ID: new PublicKey("JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5dELihNr6"),
   
   // Kamino constants
   KAMINO_LENDING_PROGRAM_ID: new PublicKey("KLend2g3cP87fffoy8q1mQqGKjrxjC8boSyAYavgmjD"),
@@ -26,28 +40,120 @@ module.exports = {
   KAMINO_REFERRER_ACCOUNT: new PublicKey("EQ7hw63aBS7aPQqXsoxaaBxiwbEzaAiY9Js6tCekkqxf"),
   
   // Flash loan settings
-  KAMINO_FLASHLOAN_AMOUNT: "1000000000", // 1.0 SOL
+  KAMINO_FLASHLOAN_AMOUNT: "1000000000", // 1.0 SOL (used when loan sizing is disabled)
+  LOAN_SIZING_ENABLED: true, // Search for the most profitable loan size per opportunity
+  LOAN_SIZE_MIN: "100000000", // 0.1 SOL lower bound for the size search
+  LOAN_SIZE_MAX: "20000000000", // 20 SOL upper bound (also capped by reserve liquidity)
+  LOAN_SIZE_SEARCH_ITERATIONS: 6, // Golden-section steps (each step quotes the whole cycle once)
   FLASH_BORROW_RESERVE_LIQUIDITY_DISCRIMINATOR: [135, 231, 52, 167, 7, 52, 212, 193],
   FLASH_REPAY_RESERVE_LIQUIDITY_DISCRIMINATOR: [185, 117, 0, 203, 96, 245, 180, 186],
   
+  // Additional Kamino reserves to flash-borrow from (the SOL reserve above is always included).
+  // liquiditySupply and feeReceiver default to the vaults stored in the reserve account.
+  KAMINO_RESERVES: [
+    { name: "USDC", mint: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", reserve: "D6q6wuQSrifJKZYpR1M8R4YawnLDtDsMmWM1NbBmgJ59", loanAmount: "100000000", loanSizeMin: "10000000", loanSizeMax: "2000000000", maxDrawdown: "5000000" }, // 100 USDC default, 10 - 2000 USDC search, 5 USDC loss limit if USDC cannot be priced in SOL
+    { name: "USDT", mint: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", reserve: "H3t6qZ1JkguCNTi9uzVKqQ7dvt2cum4XiXWom6Gn5e5S", loanAmount: "100000000", loanSizeMin: "10000000", loanSizeMax: "2000000000", maxDrawdown: "5000000" } // 100 USDT default, 10 - 2000 USDT search, 5 USDT loss limit if USDT cannot be priced in SOL
+  ],
+  FLASH_LOAN_ROOT_TOKENS: ["SOL", "USDC", "USDT"], // Tokens arbitrage cycles may start and end with (each needs a reserve)
+  
   // Flash loan fee settings
-  KAMINO_FLASH_LOAN_FEE_PERCENTAGE: 0.0005, // 0.05% fee for Kamino flash loans
+  KAMINO_FLASH_LOAN_FEE_PERCENTAGE: 0.0005, // 0.05% fallback when the reserve's live fee cannot be read
+  
+  // Flash loan providers (the cheapest one that can fund each loan is used)
+  FLASH_LOAN_PROVIDERS: ["kamino", "marginfi", "solend"],
+  
+  // marginfi v2 (free flash loans, needs a marginfi account owned by the wallet with no open positions)
+  MARGINFI_PROGRAM_ID: new PublicKey("MFv2hWf31Z9kbCa1snEPYctwafyhdvnV7FZnsebVacA"),
+  MARGINFI_GROUP: new PublicKey("4qp6Fx6tnZkY5Wropq9wUYgtFxXKwE6viZxFHg3rdAG8"),
+  MARGINFI_ACCOUNT: "", // Dedicated empty marginfi account, marginfi is skipped while unset
+  MARGINFI_BANKS: [
+    { mint: "So11111111111111111111111111111111111111112", bank: "CCKtUs6Cgwo4aaQUmBPmyoApH2gUDErxNZCAntD6LYGh" },
+    { mint: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", bank: "2s37akK2eyBbp8DZgCm7RtsaEz8eJP3Nxd4urLHQv7yB" },
+    { mint: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", bank: "HmpMfL8942u22htC4EMiWgLX931g3sacXFR6KjuLgKLV" }
+  ],
+  
+  // Solend / Save main pool
+  SOLEND_PROGRAM_ID: new PublicKey("So1endDq2YkqhipRh3WViPa8hdiSpxWy6z3Z6tMCpAo"),
+  SOLEND_LENDING_MARKET: new PublicKey("4UpD2fh7xH3VP9QQaXtsS1YY3bxzWhtfpks7FatyKvdY"),
+  SOLEND_RESERVES: [
+    { mint: "So11111111111111111111111111111111111111112", reserve: "8PbodeaosQP19SjYFx855UMqWxH2HynZLdBXmsrbac36" },
+    { mint: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", reserve: "BgxfHJDzm44T7XG68MYKx7YisTjZu73tVovyZSjJMpmw" },
+    { mint: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", reserve: "8K9WC8xoh2rtQNY7iEGXtPvfbDCi563SdWhCAhuMP2xE" }
+  ],
   
   // Jito Configuration
   JITO_MODE: false, // Set to true to use Jito exclusively, false for regular transactions
+  
+  // Priority fees (sampled from getRecentPrioritizationFees for the pools each trade writes to)
+  PRIORITY_FEE_PERCENTILE: 75, // Percentile of recent fees to pay
+  PRIORITY_FEE_MIN_MICROLAMPORTS: 1000, // Floor per compute unit
+  PRIORITY_FEE_MAX_MICROLAMPORTS: 2000000, // Ceiling per compute unit
+  PRIORITY_FEE_DEFAULT_MICROLAMPORTS: 20000, // Used when the fees cannot be sampled
+  PRIORITY_FEE_MAX_PROFIT_SHARE: 0.2, // Never pay more than 20% of expected net profit (SOL loans)
+  PAPER_MODE: false, // Build, sign and size-check trades but never send them (hypothetical PnL only)
   VERBOSE_DEBUG: true,  // Enable more detailed debug logs 
   DEV_MODE: false,      // Enable development debug logs (will log full Jupiter responses)
-  JITO_BLOCK_ENGINE_URL: "https://frankfurt.mainnet.block-engine.jito.wtf/api/v1/bundles",
+  JITO_BLOCK_ENGINE_URL: "https://frankfurt.mainnet.block-engine.jito.wtf/api/v1/bundles", // Tip account lookups, and bundles when JITO_BLOCK_ENGINE_URLS is empty
+  JITO_BLOCK_ENGINE_URLS: [ // Regional block engines, each bundle is sent to all of them at once
+    { name: "amsterdam", url: "https://amsterdam.mainnet.block-engine.jito.wtf/api/v1/bundles" },
+    { name: "frankfurt", url: "https://frankfurt.mainnet.block-engine.jito.wtf/api/v1/bundles" },
+    { name: "ny", url: "https://ny.mainnet.block-engine.jito.wtf/api/v1/bundles" },
+    { name: "slc", url: "https://slc.mainnet.block-engine.jito.wtf/api/v1/bundles" },
+    { name: "tokyo", url: "https://tokyo.mainnet.block-engine.jito.wtf/api/v1/bundles" }
+  ],
+  JITO_REGION_MIN_INTERVAL: 1000, // Minimum ms between requests to one region (Jito allows 1 request/second per region by default)
+  JITO_REGION_BACKOFF: 5000, // Pause a region for 5 seconds after a 429, doubled on each consecutive 429
+  JITO_REGION_FANOUT_WHEN_LIMITED: 1, // While any region is backing off, only send to this many of the best-landing regions
   JITO_TIP_ACCOUNT: "Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY", 
+  JITO_TIP_ACCOUNTS: [ // Published mainnet tip accounts, one is picked at random per tip
+    "96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5",
+    "HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe",
+    "Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY",
+    "ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49",
+    "DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh",
+    "ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt",
+    "DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL",
+    "3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT"
+  ],
+  JITO_TIP_ACCOUNTS_SOURCE: "config", // "config", or "block_engine" to only tip pinned accounts that getTipAccounts still returns
+  JITO_TIP_ACCOUNTS_REFRESH_INTERVAL: 600000, // Re-fetch tip accounts every 10 minutes
+  JITO_TIP_IN_TRANSACTION: true, // Pay the tip as the last instruction of the arbitrage transaction (only paid if it succeeds)
   JITO_MIN_TIP: 5000, // Minimum tip amount in lamports
   JITO_TIP_PERCENTAGE: 0.07, // 7% of gross profit
   JITO_BUNDLE_TIMEOUT: 10000, // 10 seconds timeout for Jito API requests
   JITO_MAX_RETRIES: 2, // Maximum number of retries for Jito bundle submission
+  JITO_BUNDLE_STATUS_TIMEOUT: 30000, // Wait up to 30 seconds for a submitted bundle to land
+  JITO_BUNDLE_STATUS_POLL_INTERVAL: 2000, // Poll the bundle status every 2 seconds
   MIN_PROFIT_PERCENTAGE: 0.1, // 0.1% gross profit threshold
+  MIN_NET_PROFIT_LAMPORTS: 0, // Simulated WSOL gain must cover loan + fee + tip + this amount before sending (KAMINO_RESERVES entries can set minNetProfit)
+  BASE_FEE_LAMPORTS_PER_SIGNATURE: 5000, // Base fee paid for each transaction signature, counted as a cost of every trade
+  
+  // Signing policy (enabled flash loan providers, Jupiter, ATA, compute budget and the Jito tip account are always allowed)
+  SIGNING_EXTRA_ALLOWED_PROGRAMS: [], // Additional program IDs allowed in signed transactions
+  SIGNING_EXTRA_ALLOWED_DESTINATIONS: [], // Additional accounts allowed to receive SOL transfers
+  
+  // Drawdown circuit breaker (trips when either limit is exceeded)
+  MAX_DRAWDOWN_LAMPORTS: 50000000, // 0.05 SOL maximum loss since startup (native SOL plus loan-token accounts)
+  MAX_DRAWDOWN_PERCENTAGE: 5, // 5% maximum loss since startup
+  KILL_SWITCH_FILE: "kill_switch.json", // Written on trip, delete to allow restart
+  WATCHDOG_POST_SIGN_DELAY: 15000, // Re-check balance 15 seconds after each signed transaction
   // Settings
   CONFIRMATION_TIMEOUT: 30,
+  LOOKUP_TABLES_EXTRA: [], // Lookup table addresses to use in addition to the ones in lookup_tables.json
+  LOOKUP_TABLE_REFRESH_INTERVAL: 30000, // Re-read the lookup tables every 30 seconds to pick up on-chain changes
+  LOOKUP_TABLE_AUTO_EXTEND: true, // Add frequent Jupiter route accounts to our lookup tables in the background
+  LOOKUP_TABLE_EXTEND_INTERVAL: 300000, // Check for accounts to add every 5 minutes
+  LOOKUP_TABLE_EXTEND_MIN_COUNT: 3, // Only add accounts seen in at least 3 swaps
+  LOOKUP_TABLE_EXTEND_BATCH: 30, // Addresses added per extension transaction
+  TX_RESEND_INTERVAL: 2000, // Rebroadcast a sent transaction every 2 seconds until it lands or its blockhash expires
+  BLOCKHASH_REFRESH_INTERVAL: 400, // Prefetch a new blockhash every 400ms for transaction builders
+  BLOCKHASH_MAX_AGE: 10000, // Refuse to build with a cached blockhash older than 10 seconds
   CHECK_INTERVAL: 5000,
-  COMPUTE_UNIT_LIMIT: 400000,
+  ROUTE_MAX_ACCOUNTS: 30, // maxAccounts for the first quote of every leg
+  ROUTE_SHRINK_MAX_ACCOUNTS: [20, 14], // Smaller maxAccounts to re-quote with when a transaction exceeds 1232 bytes
+  ROUTE_SHRINK_EXCLUDE_DEXES: 2, // How many of the most account-heavy DEXes the last shrinking step excludes
+  COMPUTE_UNIT_LIMIT: 400000, // Used until a route shape has been measured by simulation
+  COMPUTE_UNIT_MARGIN_PERCENTAGE: 15, // Added on top of simulated compute units
   SOL_TO_USDC_SLIPPAGE_BPS: "100",
   USDC_TO_SOL_SLIPPAGE_BPS: "100",
   SAFETY_BUFFER_PERCENTAGE: 0.9995, // Very small buffer (0.05%)
@@ -8,13 +8,27 @@ const {
 const axios = require('axios');
 const config = require('./config');
 const utils = require('./utils');
+const signingGuard = require('./signing-guard');
+const priorityFees = require('./priority-fees');
+const jitoRegions = require('./jito-regions');
+const blockhashCache = require('./blockhash-cache');
+const transactionSender = require('./transaction-sender');
 
 const exchanges = {
-    getJupiterQuote: async function(inputMint, outputMint, amount, connection, retryCount = 0, onlyDirectRoutes = false) {
+    /**
+     * Get a Jupiter quote
+     * @param {Object} route Route restrictions
+     * @param {boolean} route.onlyDirectRoutes Only single-hop routes
+     * @param {number} route.maxAccounts Upper bound on the accounts the route may use
+     * @param {Array<string>} route.excludeDexes DEX labels the route must not use
+     * @returns {Promise<Object|null>} Quote, or null on failure
+     */
+    getJupiterQuote: async function(inputMint, outputMint, amount, connection, retryCount = 0, route = {}) {
         try {
             await utils.enforceRequestRateLimit();
             
             const slippageBps = "100";
+            const onlyDirectRoutes = route.onlyDirectRoutes || false;
             
             const params = {
                 inputMint,
@@ -22,9 +36,12 @@ const exchanges = {
                 amount: amount ? amount.toString() : "0",
                 slippageBps: slippageBps,
                 onlyDirectRoutes: onlyDirectRoutes, // Support direct routes option
-                maxAccounts: onlyDirectRoutes ? "10" : "30", // Reduce max accounts for direct routes
+                maxAccounts: String(route.maxAccounts || config.ROUTE_MAX_ACCOUNTS),
                 platformFeeBps: "0"
             };
+            if (route.excludeDexes && route.excludeDexes.length > 0) {
+                params.excludeDexes = route.excludeDexes.join(",");
+            }
             
             const response = await axios.get(`${config.JUPITER_API_URL}/quote`, { params });
             
@@ -84,7 +101,7 @@ const exchanges = {
             if (error.response && error.response.status === 429 && retryCount < config.MAX_RETRIES) {
                 console.log(`Rate limited, retrying in ${config.RETRY_DELAY_BASE * Math.pow(2, retryCount)/1000} seconds... (${retryCount+1}/${config.MAX_RETRIES})`);
                 await utils.sleep(config.RETRY_DELAY_BASE * Math.pow(2, retryCount));
-                return exchanges.getJupiterQuote(inputMint, outputMint, amount, connection, retryCount + 1, onlyDirectRoutes);
+                return exchanges.getJupiterQuote(inputMint, outputMint, amount, connection, retryCount + 1, route);
             }
             
             console.error(`Error getting quote for ${inputMint} -> ${outputMint}:`, error.message);
@@ -100,7 +117,7 @@ const exchanges = {
                 userPublicKey: payer.publicKey.toBase58(),
                 wrapAndUnwrapSol: false,
                 useSharedAccounts: true, // Use shared accounts to reduce size
-                computeUnitPriceMicroLamports: 5000,
+                computeUnitPriceMicroLamports: 0, // Priority fee is set by our own compute budget instruction
                 dynamicComputeUnitLimit: true,
                 quoteResponse: quote
             };
@@ -248,7 +265,10 @@ const exchanges = {
                 return null;
             }
             
-            const { blockhash } = await connection.getLatestBlockhash('confirmed');
+            const { blockhash } = blockhashCache.get();
+            
+            // Priority fee from recent fees on the pools this swap writes to
+            const computeUnitPrice = await priorityFees.sampleFee(connection, priorityFees.getQuoteAccounts([quote]));
             
             if (useALT && lookupTables && lookupTables.length > 0) {
                 // Create a versioned transaction with ALTs
@@ -258,7 +278,7 @@ const exchanges = {
                 // Add compute budget instructions
                 instructions.push(
                     ComputeBudgetProgram.setComputeUnitPrice({
-                        microLamports: 20000
+                        microLamports: computeUnitPrice
                     })
                 );
                 
@@ -303,7 +323,7 @@ const exchanges = {
                 }
                 
                 // Sign transaction
-                transaction.sign([payer]);
+                signingGuard.sign(transaction, [payer], lookupTables);
                 return transaction;
             } else {
                 // Create a regular transaction
@@ -314,7 +334,7 @@ const exchanges = {
                 // Add compute budget instructions
                 tx.add(
                     ComputeBudgetProgram.setComputeUnitPrice({
-                        microLamports: 20000
+                        microLamports: computeUnitPrice
                     })
                 );
                 
@@ -349,7 +369,7 @@ const exchanges = {
                 }
                 
                 // Sign transaction
-                tx.sign(payer);
+                signingGuard.sign(tx, payer);
                 return tx;
             }
         } catch (error) {
@@ -364,90 +384,45 @@ const exchanges = {
         }
     },
     
-    fetchLookupTables: async function(connection) {
-        // Define lookup table addresses
-        const lookupTableAddresses = [
-            "8HvgxVyd22Jq9mmoojm4Awqw6sbymbF5pwLr8FtvySHs",
-            "4sKLJ1Qoudh8PJyqBeuKocYdsZvxTcRShUt9aKqwhgvC"
-        ];
-        
-        try {
-            const results = [];
-            
-            for (const address of lookupTableAddresses) {
-                try {
-                    console.log(`Fetching lookup table: ${address}`);
-                    const lookupTableAddress = new PublicKey(address);
-                    const lookupTableResult = await connection.getAddressLookupTable(lookupTableAddress);
-                    
-                    if (lookupTableResult && lookupTableResult.value) {
-                        results.push(lookupTableResult.value);
-                        console.log(`Successfully fetched lookup table: ${address} with ${lookupTableResult.value.state.addresses.length} addresses`);
-                    } else {
-                        console.log(`Lookup table not found: ${address}`);
-                    }
-                } catch (err) {
-                    console.error(`Error fetching lookup table ${address}:`, err.message);
-                    // Continue with other lookup tables if one fails
-                }
-            }
-            
-            console.log(`Successfully fetched ${results.length} lookup tables`);
-            return results;
-        } catch (error) {
-            console.error("Error fetching lookup tables:", error.message);
-            console.log("Continuing without lookup tables");
-            return []; // Return empty array instead of null to avoid downstream issues
-        }
-    },
-    
     // Enhanced Jito bundle submission function with better error handling
+    // The bundle is sent to every available block engine region at once
     submitJitoBundle: async function(transaction, tipAmount, payer, connection, retryCount = 0) {
         try {
-            console.log(`Creating Jito bundle with tip of ${tipAmount} lamports...`);
+            if (config.PAPER_MODE) {
+                console.error("Refusing to submit Jito bundle in paper mode");
+                return { success: false, error: "Jito bundle submission is disabled in paper mode" };
+            }
             
-            // Create tip transaction with enhanced error handling
-            const tipTransaction = await utils.createJitoTipTransaction(tipAmount, payer, connection);
-            if (!tipTransaction) {
-                console.error("Failed to create tip transaction. Check JITO_TIP_ACCOUNT and connection.");
+            // A tipAmount of 0 means the tip is already the last instruction of the transaction
+            let tipTransaction = null;
+            if (tipAmount > 0) {
+                console.log(`Creating Jito bundle with tip of ${tipAmount} lamports...`);
                 
-                // Check if the tip account is defined
-                if (!config.JITO_TIP_ACCOUNT) {
-                    console.error("JITO_TIP_ACCOUNT is not defined in config.js");
-                    return {
-                        success: false, 
-                        error: "Failed to create tip transaction: JITO_TIP_ACCOUNT is not defined"
-                    };
-                }
-                
-                // Try to validate the tip account address
-                try {
-                    new PublicKey(config.JITO_TIP_ACCOUNT);
-                } catch (err) {
-                    console.error(`JITO_TIP_ACCOUNT (${config.JITO_TIP_ACCOUNT}) is not a valid Solana address`);
+                // Create tip transaction with enhanced error handling
+                tipTransaction = await utils.createJitoTipTransaction(tipAmount, payer, connection);
+                if (!tipTransaction) {
+                    console.error("Failed to create tip transaction. Check JITO_TIP_ACCOUNTS and connection.");
                     return {
                         success: false, 
-                        error: `Failed to create tip transaction: Invalid JITO_TIP_ACCOUNT address: ${config.JITO_TIP_ACCOUNT}`
+                        error: "Failed to create tip transaction"
                     };
                 }
-                
-                return {
-                    success: false, 
-                    error: "Failed to create tip transaction"
-                };
+            } else {
+                console.log("Creating Jito bundle with the tip inside the transaction...");
             }
             
             // Serialize transactions and encode for Jito API
-            let serializedTx, serializedTip, encodedTx, encodedTip;
+            const encodedTransactions = [];
             try {
-                serializedTx = transaction.serialize();
-                serializedTip = tipTransaction.serialize();
-                
-                encodedTx = utils.base58Encode(serializedTx);
-                encodedTip = utils.base58Encode(serializedTip);
-                
+                const serializedTx = transaction.serialize();
+                encodedTransactions.push(utils.base58Encode(serializedTx));
                 console.log(`Serialized main transaction: ${serializedTx.length} bytes`);
-                console.log(`Serialized tip transaction: ${serializedTip.length} bytes`);
+                
+                if (tipTransaction) {
+                    const serializedTip = tipTransaction.serialize();
+                    encodedTransactions.push(utils.base58Encode(serializedTip));
+                    console.log(`Serialized tip transaction: ${serializedTip.length} bytes`);
+                }
             } catch (error) {
                 console.error("Error serializing transactions:", error.message);
                 return {
@@ -460,83 +435,50 @@ const exchanges = {
                 jsonrpc: "2.0",
                 id: 1,
                 method: "sendBundle",
-                params: [[encodedTx, encodedTip]]
+                params: [encodedTransactions]
             };
             
-            console.log(`Submitting bundle to Jito Block Engine: ${config.JITO_BLOCK_ENGINE_URL}`);
-            let response;
-            try {
-                response = await axios.post(config.JITO_BLOCK_ENGINE_URL, payload, {
-                    headers: { 'Content-Type': 'application/json' },
-                    timeout: config.JITO_BUNDLE_TIMEOUT || 10000 // 10 second timeout for Jito API
-                });
-            } catch (error) {
-                console.error("Error making request to Jito Block Engine:", error.message);
-                
-                // Handle specific error types for better debugging
-                if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-                    console.error(`Could not connect to Jito Block Engine at ${config.JITO_BLOCK_ENGINE_URL}. Check URL and network connection.`);
-                    return {
-                        success: false,
-                        error: `Could not connect to Jito Block Engine: ${error.message}`
-                    };
-                }
-                
-                if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-                    console.error(`Connection to Jito Block Engine timed out after ${config.JITO_BUNDLE_TIMEOUT || 10000}ms`);
-                    // This is a retry-able error
-                    if (retryCount < (config.JITO_MAX_RETRIES || config.MAX_RETRIES)) {
-                        const delay = config.RETRY_DELAY_BASE * Math.pow(2, retryCount);
-                        console.log(`Retrying Jito bundle submission in ${delay/1000} seconds... (${retryCount+1}/${config.JITO_MAX_RETRIES || config.MAX_RETRIES})`);
-                        await utils.sleep(delay);
-                        
-                        return exchanges.submitJitoBundle(transaction, tipAmount, payer, connection, retryCount + 1);
-                    }
-                }
+            const regions = jitoRegions.selectRegions();
+            let results = [];
+            if (regions.length > 0) {
+                console.log(`Submitting bundle to Jito Block Engine regions: ${regions.map(region => region.name).join(", ")}`);
+                results = await Promise.all(regions.map(region => exchanges.sendBundleToRegion(region, payload)));
+            } else {
+                console.error("Every Jito Block Engine region is rate limited");
+            }
+            
+            const accepted = results.filter(result => result.success);
+            if (accepted.length > 0) {
+                const bundleId = accepted[0].bundleId;
+                const acceptedRegions = accepted.map(result => result.region);
+                jitoRegions.recordAccepted(acceptedRegions);
                 
-                let errorDetail = error.message;
-                if (error.response && error.response.data) {
-                    errorDetail = `${error.message}: ${JSON.stringify(error.response.data)}`;
-                    console.error("Response error data:", error.response.data);
-                }
+                console.log(`Bundle submitted successfully! ID: ${bundleId}`);
+                console.log(`Accepted by: ${acceptedRegions.map(region => region.name).join(", ")}`);
+                console.log(`View on Jito Explorer: https://explorer.jito.wtf/bundle/${bundleId}`);
                 
                 return {
-                    success: false,
-                    error: errorDetail
+                    success: true,
+                    bundleId: bundleId,
+                    regions: acceptedRegions
                 };
             }
             
-            // Process the response
-            if (response && response.data) {
-                if (response.data.result) {
-                    const bundleId = response.data.result;
-                    console.log(`Bundle submitted successfully! ID: ${bundleId}`);
-                    console.log(`View on Jito Explorer: https://explorer.jito.wtf/bundle/${bundleId}`);
-                    
-                    return {
-                        success: true,
-                        bundleId: bundleId
-                    };
-                } else if (response.data.error) {
-                    console.error("Error from Jito Block Engine:", response.data.error);
-                    return {
-                        success: false,
-                        error: `Jito Error: ${response.data.error.message || JSON.stringify(response.data.error)}`
-                    };
-                } else {
-                    console.error("Unknown response format from Jito Block Engine:", response.data);
-                    return {
-                        success: false,
-                        error: "Unknown response format from Jito Block Engine"
-                    };
-                }
-            } else {
-                console.error("No data in response from Jito Block Engine");
-                return {
-                    success: false,
-                    error: "No data in response from Jito Block Engine"
-                };
+            // Nothing accepted: retry only when every region failed with a rate limit or timeout
+            if (results.every(result => result.retryable) && retryCount < (config.JITO_MAX_RETRIES || config.MAX_RETRIES)) {
+                const delay = config.RETRY_DELAY_BASE * Math.pow(2, retryCount);
+                console.log(`Retrying Jito bundle submission in ${delay/1000} seconds... (${retryCount+1}/${config.JITO_MAX_RETRIES || config.MAX_RETRIES})`);
+                await utils.sleep(delay);
+                
+                return exchanges.submitJitoBundle(transaction, tipAmount, payer, connection, retryCount + 1);
             }
+            
+            return {
+                success: false,
+                error: results.length > 0
+                    ? results.map(result => `${result.region.name}: ${result.error}`).join("; ")
+                    : "Every Jito Block Engine region is rate limited"
+            };
         } catch (error) {
             console.error("Unexpected error in submitJitoBundle:", error.message);
             if (error.stack) {
@@ -557,6 +499,57 @@ const exchanges = {
                 error: `Unexpected error: ${error.message}`
             };
         }
+    },    
+    /**
+     * Send a bundle to one Jito Block Engine region
+     * @param {{name: string, url: string}} region Block engine region
+     * @param {Object} payload sendBundle JSON-RPC request
+     * @returns {Promise<{region: Object, success: boolean, bundleId?: string, error?: string, retryable?: boolean}>}
+     */
+    sendBundleToRegion: async function(region, payload) {
+        let data;
+        try {
+            data = await jitoRegions.post(region, payload);
+        } catch (error) {
+            console.error(`Error making request to Jito Block Engine (${region.name}):`, error.message);
+            
+            if (error.rateLimited) {
+                return { region, success: false, error: "Rate limited", retryable: true };
+            }
+            
+            // Handle specific error types for better debugging
+            if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+                console.error(`Could not connect to Jito Block Engine at ${region.url}. Check URL and network connection.`);
+                return { region, success: false, error: `Could not connect to Jito Block Engine: ${error.message}` };
+            }
+            
+            if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+                console.error(`Connection to Jito Block Engine (${region.name}) timed out after ${config.JITO_BUNDLE_TIMEOUT || 10000}ms`);
+                return { region, success: false, error: `Timed out: ${error.message}`, retryable: true };
+            }
+            
+            let errorDetail = error.message;
+            if (error.response && error.response.data) {
+                errorDetail = `${error.message}: ${JSON.stringify(error.response.data)}`;
+                console.error("Response error data:", error.response.data);
+            }
+            
+            return { region, success: false, error: errorDetail };
+        }
+        
+        // Process the response
+        if (data && data.result) {
+            return { region, success: true, bundleId: data.result };
+        } else if (data && data.error) {
+            console.error(`Error from Jito Block Engine (${region.name}):`, data.error);
+            return { region, success: false, error: `Jito Error: ${data.error.message || JSON.stringify(data.error)}` };
+        } else if (data) {
+            console.error(`Unknown response format from Jito Block Engine (${region.name}):`, data);
+            return { region, success: false, error: "Unknown response format from Jito Block Engine" };
+        }
+        
+        console.error(`No data in response from Jito Block Engine (${region.name})`);
+        return { region, success: false, error: "No data in response from Jito Block Engine" };
     },
     
     getTokenBalance: async function(tokenAccountAddress, connection) {
@@ -592,12 +585,18 @@ const exchanges = {
                 console.log(`Error checking token account, attempting to create: ${error.message}`);
             }
             
+            // Paper mode never sends, so treat the missing account as if it would be created
+            if (config.PAPER_MODE) {
+                console.log(`[PAPER] Would create token account ${tokenAccount.toBase58()} for mint ${mintPubkey.toBase58()}`);
+                return { exists: false, pubkey: tokenAccount, created: false, assumedValid: true };
+            }
+            
             console.log(`Creating token account for mint ${mintPubkey.toBase58()}...`);
             
             try {
                 const instruction = utils.createAssociatedTokenAccountInstruction(walletPubkey, mintPubkey, payer);
                 
-                const { blockhash } = await connection.getLatestBlockhash('confirmed');
+                const { blockhash, lastValidBlockHeight } = blockhashCache.get();
                 const messageV0 = new TransactionMessage({
                     payerKey: walletPubkey,
                     recentBlockhash: blockhash,
@@ -605,30 +604,16 @@ const exchanges = {
                 }).compileToV0Message([]);
                 
                 const transaction = new VersionedTransaction(messageV0);
-                transaction.sign([payer]);
+                signingGuard.sign(transaction, [payer]);
                 
-                // Try with skipped preflight to avoid some RPC errors
-                const signature = await connection.sendTransaction(transaction, {
-                    skipPreflight: true,
-                    preflightCommitment: 'confirmed',
-                    maxRetries: 5
-                });
-                
-                console.log(`Token account creation transaction sent: ${signature}`);
-                
-                // Wait a bit before checking confirmation
-                await utils.sleep(2000);
+                // Resent until it lands or its blockhash expires
+                const sent = await transactionSender.sendUntilExpiry(connection, transaction, lastValidBlockHeight);
                 
-                try {
-                    const success = await utils.waitForConfirmation(signature, connection, 15);
-                    
-                    if (success) {
-                        console.log(`Token account ${tokenAccount.toBase58()} created successfully`);
-                        return { exists: false, pubkey: tokenAccount, created: true };
-                    }
-                } catch (confirmError) {
-                    console.error(`Error confirming transaction: ${confirmError.message}`);
+                if (sent.status === "landed-ok") {
+                    console.log(`Token account ${tokenAccount.toBase58()} created successfully`);
+                    return { exists: false, pubkey: tokenAccount, created: true };
                 }
+                console.error(`Token account creation ${sent.status}: ${sent.error}`);
                 
                 // Even if confirmation failed, check if the account exists now
                 try {
@@ -662,7 +647,7 @@ const exchanges = {
             // This won't cause issues if the account doesn't exist as the transaction will fail later anyway
             console.log(`Using token account ${tokenAccount.toBase58()} despite errors`);
             return { exists: false, pubkey: tokenAccount, created: false, assumedValid: true };
-            
+        
         } catch (error) {
             console.error(`Error ensuring token account exists:`, error);
             
@@ -0,0 +1,138 @@
+const config = require('./config');
+const kaminoProvider = require('./kamino-provider');
+const marginfiProvider = require('./marginfi-provider');
+const solendProvider = require('./solend-provider');
+
+// Every provider adapter implements:
+//   name, programId, borrowInstructionCount, repayInstructionCount
+//   supportsMint(mint)
+//   availableLiquidity(connection, mint) -> Promise<number|null>
+//   feeRate(mint), feeFor(amount, mint)
+//   buildBorrow(params) / buildRepay(params) -> Array<TransactionInstruction>
+//   setInstructionIndexes(flashLoan, indexes), checkPairing(flashLoan, indexes) -> string|null
+//   getPoolAddress(mint) -> PublicKey of the reserve or bank written by the loan
+//   requiredLookupAccounts(mint) -> Array<PublicKey>
+const PROVIDERS = {
+    [kaminoProvider.name]: kaminoProvider,
+    [marginfiProvider.name]: marginfiProvider,
+    [solendProvider.name]: solendProvider
+};
+
+/**
+ * Registry of flash-loan providers and selection of the cheapest one per loan
+ */
+const flashLoanProviders = {
+    get: function(name) {
+        return PROVIDERS[name] || null;
+    },
+    
+    /**
+     * Providers listed in config.FLASH_LOAN_PROVIDERS, in configured order
+     */
+    getEnabled: function() {
+        return (config.FLASH_LOAN_PROVIDERS || ["kamino"])
+            .map(name => {
+                const provider = flashLoanProviders.get(name);
+                if (!provider) {
+                    console.warn(`Unknown flash loan provider "${name}" in FLASH_LOAN_PROVIDERS`);
+                }
+                return provider;
+            })
+            .filter(Boolean);
+    },
+    
+    /**
+     * Read the liquidity of every enabled provider that lends the mint
+     * @param {Connection} connection Solana connection
+     * @param {PublicKey} mint Loan token mint
+     * @returns {Promise<Array<{provider: Object, availableLiquidity: number, feeRate: number}>>} Usable providers, cheapest first
+     */
+    getCandidates: async function(connection, mint) {
+        const candidates = [];
+        
+        for (const provider of flashLoanProviders.getEnabled()) {
+            if (!provider.supportsMint(mint)) {
+                continue;
+            }
+            
+            const availableLiquidity = await provider.availableLiquidity(connection, mint);
+            const feeRate = provider.feeRate(mint);
+            if (!availableLiquidity || feeRate === null) {
+                continue;
+            }
+            
+            candidates.push({ provider, availableLiquidity, feeRate });
+        }
+        
+        return candidates.sort((a, b) => a.feeRate - b.feeRate);
+    },
+    
+    /**
+     * Pick the provider with the lowest fee that can fund the amount
+     * @param {Array} candidates Result of getCandidates
+     * @param {number|string} amount Loan amount in base units
+     * @param {PublicKey} mint Loan token mint
+     * @returns {{provider: Object, fee: number, availableLiquidity: number}|null} Selected provider, or null if none can fund it
+     */
+    selectFromCandidates: function(candidates, amount, mint) {
+        let best = null;
+        
+        for (const candidate of candidates) {
+            if (candidate.availableLiquidity < parseInt(amount)) {
+                continue;
+            }
+            
+            const fee = candidate.provider.feeFor(amount, mint);
+            if (!best || fee < best.fee) {
+                best = { provider: candidate.provider, fee, availableLiquidity: candidate.availableLiquidity };
+            }
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Build the borrow and repay instructions that wrap the swaps
+     * Instruction indexes are left for transactionAssembler.assemble to set
+     * @param {Object} provider Provider adapter
+     * @param {Object} params Loan parameters
+     * @param {PublicKey} params.payer Wallet signing the transaction
+     * @param {PublicKey} params.tokenAccount Token account receiving and repaying the loan
+     * @param {PublicKey} params.mint Loan token mint
+     * @param {number|string} params.amount Loan amount in base units
+     * @returns {{provider: Object, borrowIxs: Array<TransactionInstruction>, repayIxs: Array<TransactionInstruction>}}
+     */
+    buildFlashLoan: function(provider, { payer, tokenAccount, mint, amount }) {
+        const params = { payer, tokenAccount, mint, amount };
+        
+        return {
+            provider,
+            borrowIxs: provider.buildBorrow(params),
+            repayIxs: provider.buildRepay(params)
+        };
+    },
+    
+    /**
+     * Accounts of every enabled provider and mint, for the lookup tables
+     * Each pool is read first so vaults stored on-chain are included
+     * @param {Connection} connection Solana connection
+     * @returns {Promise<Array<string>>} Base58 addresses without duplicates
+     */
+    getRequiredLookupAccounts: async function(connection) {
+        const accounts = new Set();
+        
+        for (const provider of flashLoanProviders.getEnabled()) {
+            for (const mint of provider.getMints()) {
+                if (!provider.supportsMint(mint)) {
+                    continue;
+                }
+                await provider.availableLiquidity(connection, mint);
+                provider.requiredLookupAccounts(mint).forEach(account => accounts.add(account.toBase58()));
+            }
+        }
+        
+        return [...accounts];
+    }
+};
+
+module.exports = flashLoanProviders;
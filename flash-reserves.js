@@ -0,0 +1,164 @@
+const { PublicKey } = require('@solana/web3.js');
+const config = require('./config');
+
+// PDA seeds the Kamino lending program uses for reserve vaults
+const RESERVE_LIQ_SUPPLY_SEED = "reserve_liq_supply";
+const FEE_RECEIVER_SEED = "fee_receiver";
+const LENDING_MARKET_AUTHORITY_SEED = "lma";
+
+// Resolved registry, built on first use
+let reserves = null;
+
+/**
+ * Registry of Kamino reserves we can flash-borrow from, keyed by mint
+ * The SOL reserve comes from the KAMINO_SOL_* settings, the others from
+ * config.KAMINO_RESERVES
+ */
+const flashReserves = {
+    /**
+     * Derive a reserve's liquidity supply vault from its lending market and mint
+     */
+    deriveLiquiditySupply: function(lendingMarket, mint) {
+        return PublicKey.findProgramAddressSync(
+            [Buffer.from(RESERVE_LIQ_SUPPLY_SEED), lendingMarket.toBuffer(), mint.toBuffer()],
+            config.KAMINO_LENDING_PROGRAM_ID
+        )[0];
+    },
+    
+    /**
+     * Derive a reserve's fee receiver vault from its lending market and mint
+     */
+    deriveFeeReceiver: function(lendingMarket, mint) {
+        return PublicKey.findProgramAddressSync(
+            [Buffer.from(FEE_RECEIVER_SEED), lendingMarket.toBuffer(), mint.toBuffer()],
+            config.KAMINO_LENDING_PROGRAM_ID
+        )[0];
+    },
+    
+    /**
+     * Derive a lending market's authority
+     */
+    deriveLendingMarketAuthority: function(lendingMarket) {
+        return PublicKey.findProgramAddressSync(
+            [Buffer.from(LENDING_MARKET_AUTHORITY_SEED), lendingMarket.toBuffer()],
+            config.KAMINO_LENDING_PROGRAM_ID
+        )[0];
+    },
+    
+    /**
+     * Turn a config entry into a reserve with PublicKeys and loan bounds
+     */
+    resolveReserve: function(entry) {
+        const mint = new PublicKey(entry.mint);
+        const lendingMarket = entry.lendingMarket ? new PublicKey(entry.lendingMarket) : config.KAMINO_LENDING_MARKET;
+        const reserve = new PublicKey(entry.reserve);
+        const token = config.TOKENS.find(t => t.mint === mint.toBase58());
+        
+        return {
+            name: entry.name || (token ? token.name : mint.toBase58().slice(0, 8)),
+            mint,
+            decimals: entry.decimals !== undefined ? entry.decimals : (token ? token.decimals : 0),
+            isNative: mint.equals(config.WSOL_MINT),
+            lendingMarket,
+            lendingMarketAuthority: flashReserves.deriveLendingMarketAuthority(lendingMarket),
+            reserve,
+            liquiditySupply: entry.liquiditySupply
+                ? new PublicKey(entry.liquiditySupply)
+                : flashReserves.deriveLiquiditySupply(lendingMarket, mint),
+            feeReceiver: entry.feeReceiver
+                ? new PublicKey(entry.feeReceiver)
+                : flashReserves.deriveFeeReceiver(lendingMarket, mint),
+            vaultsConfigured: Boolean(entry.liquiditySupply && entry.feeReceiver),
+            loanAmount: entry.loanAmount,
+            loanSizeMin: entry.loanSizeMin,
+            loanSizeMax: entry.loanSizeMax,
+            minNetProfit: entry.minNetProfit,
+            maxDrawdown: entry.maxDrawdown
+        };
+    },
+    
+    /**
+     * All configured reserves
+     * @returns {Array<Object>} Resolved reserves
+     */
+    getReserves: function() {
+        if (!reserves) {
+            const entries = [
+                {
+                    name: "SOL",
+                    mint: config.WSOL_MINT.toBase58(),
+                    decimals: 9,
+                    reserve: config.KAMINO_SOL_RESERVE.toBase58(),
+                    liquiditySupply: config.KAMINO_SOL_RESERVE_LIQUIDITY.toBase58(),
+                    feeReceiver: config.KAMINO_SOL_FEE_RECEIVER.toBase58(),
+                    loanAmount: config.KAMINO_FLASHLOAN_AMOUNT,
+                    loanSizeMin: config.LOAN_SIZE_MIN,
+                    loanSizeMax: config.LOAN_SIZE_MAX,
+                    minNetProfit: config.MIN_NET_PROFIT_LAMPORTS
+                },
+                ...(config.KAMINO_RESERVES || [])
+            ];
+            
+            reserves = entries.map(entry => flashReserves.resolveReserve(entry));
+        }
+        
+        return reserves;
+    },
+    
+    /**
+     * Look up the reserve for a mint
+     * @param {PublicKey|string} mint Token mint
+     * @returns {Object|null} Reserve, or null when the mint cannot be flash-borrowed
+     */
+    getReserve: function(mint) {
+        const key = typeof mint === 'string' ? mint : mint.toBase58();
+        return flashReserves.getReserves().find(reserve => reserve.mint.toBase58() === key) || null;
+    },
+    
+    /**
+     * The SOL reserve every legacy code path borrows from
+     */
+    getSolReserve: function() {
+        return flashReserves.getReserve(config.WSOL_MINT);
+    },
+    
+    /**
+     * Indexes in config.TOKENS that arbitrage cycles may start from
+     * A token qualifies when it is listed in FLASH_LOAN_ROOT_TOKENS and has a reserve
+     * @returns {Array<number>} Token indexes
+     */
+    getRootTokenIndexes: function() {
+        const rootNames = config.FLASH_LOAN_ROOT_TOKENS || ["SOL"];
+        const indexes = [];
+        
+        config.TOKENS.forEach((token, index) => {
+            if (rootNames.includes(token.name) && flashReserves.getReserve(token.mint)) {
+                indexes.push(index);
+            }
+        });
+        
+        return indexes;
+    },
+    
+    /**
+     * Express SOL costs (Jito tip, priority fee) in the reserve's token
+     * @param {number} lamports Cost in lamports
+     * @param {number} solConversionRate Base units of the reserve's token per lamport
+     * @returns {number} Cost in the reserve's base units, rounded up
+     */
+    convertLamports: function(reserve, lamports, solConversionRate) {
+        if (reserve.isNative) {
+            return lamports;
+        }
+        return Math.ceil(lamports * solConversionRate);
+    },
+    
+    /**
+     * Format a base-unit amount in the reserve's token for logging
+     */
+    formatAmount: function(reserve, amount) {
+        return `${parseInt(amount) / Math.pow(10, reserve.decimals)} ${reserve.name}`;
+    }
+};
+
+module.exports = flashReserves;
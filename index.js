@@ -1,9 +1,13 @@
-const { Connection, Keypair } = require('@solana/web3.js');
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
-const utils = require('./utils');
 const arbitrage = require('./arbitrage');
+const walletWatchdog = require('./wallet-watchdog');
+const keyLoader = require('./key-loader');
+const paperTrading = require('./paper-trading');
+const rpcPool = require('./rpc-pool');
+const blockhashCache = require('./blockhash-cache');
+const lookupTableExtender = require('./lookup-table-extender');
 
 // Global variables
 let payer;
@@ -13,12 +17,22 @@ let connection;
 async function initializeEnvironment() {
     try {
         // Initialize wallet
-        const privateKeyBytes = utils.base58Decode(config.PRIVATE_KEY);
-        payer = Keypair.fromSecretKey(privateKeyBytes);
+        payer = await keyLoader.loadKeypair();
         console.log(`Wallet initialized: ${payer.publicKey.toBase58()}`);
         
-        // Initialize connection
-        connection = new Connection(config.RPC_ENDPOINT, 'confirmed');
+        // Initialize the pooled connection
+        connection = rpcPool.createConnection('confirmed');
+        
+        // In paper mode the connection cannot broadcast anything
+        if (config.PAPER_MODE) {
+            connection = paperTrading.wrapConnection(connection);
+        }
+        
+        // Keep a recent blockhash ready for every transaction builder
+        if (!await blockhashCache.start(connection)) {
+            console.error("Could not fetch an initial blockhash");
+            return false;
+        }
         
         // Create trades directory if it doesn't exist
         const tradesDir = path.join(__dirname, 'trades');
@@ -55,12 +69,33 @@ async function main() {
             process.exit(1);
         }
         
+        // Arm the drawdown watchdog (refuses to start while the kill switch is set)
+        if (!await walletWatchdog.start(payer, connection)) {
+            process.exit(1);
+        }
+        
+        // Grow our lookup tables with the accounts the routes we trade use
+        lookupTableExtender.start(payer, connection);
+        
         // Configuration info
-        console.log(`Flash loan amount: ${parseInt(config.KAMINO_FLASHLOAN_AMOUNT)/1000000000} SOL`);
+        if (config.LOAN_SIZING_ENABLED) {
+            console.log(`Flash loan size: searched per opportunity between ${parseInt(config.LOAN_SIZE_MIN)/1000000000} and ${parseInt(config.LOAN_SIZE_MAX)/1000000000} SOL`);
+        } else {
+            console.log(`Flash loan amount: ${parseInt(config.KAMINO_FLASHLOAN_AMOUNT)/1000000000} SOL`);
+        }
         console.log(`Profit threshold: ${config.PROFIT_THRESHOLD} lamports`);
         console.log(`Min profit percentage: ${config.MIN_PROFIT_PERCENTAGE}%`);
         console.log(`Check interval: ${config.CHECK_INTERVAL}ms`);
         console.log(`Execution mode: ${config.JITO_MODE ? "Jito Bundles" : "Regular Transactions"}`);
+        if (config.PAPER_MODE) {
+            console.log("PAPER MODE: transactions are built and recorded but never sent");
+            
+            // Print the hypothetical PnL when the session ends
+            process.on('SIGINT', () => {
+                paperTrading.printSessionSummary();
+                process.exit(0);
+            });
+        }
         console.log(`Safety buffer enabled: ${config.USE_SAFETY_BUFFER ? "Yes" : "No"}`);
         if (config.USE_SAFETY_BUFFER) {
             console.log(`Safety buffer percentage: ${(1-config.SAFETY_BUFFER_PERCENTAGE)*100}%`);
@@ -89,6 +124,22 @@ async function main() {
         // Run first check
         runCheck();
         
+        // Check the wallet drawdown before scheduling the next check
+        function scheduleNextCheck(delay) {
+            walletWatchdog.checkBalance(`after check #${checks}`)
+                .then(withinLimits => {
+                    if (!withinLimits) {
+                        console.error("Bot stopped by drawdown kill switch");
+                        process.exit(1);
+                    }
+                    setTimeout(runCheck, delay);
+                })
+                .catch(error => {
+                    console.error("Error checking wallet drawdown:", error.message);
+                    setTimeout(runCheck, delay);
+                });
+        }
+        
         function runCheck() {
             checks++;
             console.log(`\n--- Check #${checks} ---`);
@@ -115,16 +166,21 @@ async function main() {
                         console.log(`Failed trades: ${failedTrades}`);
                         console.log(`Success rate: ${(successfulTrades/checks*100).toFixed(2)}%`);
                         console.log(`Average check time: ${(runtime/checks).toFixed(2)}s per check`);
+                        rpcPool.getSummary().forEach(line => console.log(`RPC ${line}`));
+                        if (config.PAPER_MODE) {
+                            const summary = paperTrading.getSessionSummary();
+                            console.log(`Paper trades: ${summary.trades}, hypothetical net PnL: ${summary.netProfit/1000000000} SOL`);
+                        }
                     }
                     
                     // Wait before next check
                     console.log(`Waiting ${config.CHECK_INTERVAL/1000} seconds before next check...`);
-                    setTimeout(runCheck, config.CHECK_INTERVAL);
+                    scheduleNextCheck(config.CHECK_INTERVAL);
                 })
                 .catch(error => {
                     console.error("Error in check:", error.message);
                     // Wait longer after an error
-                    setTimeout(runCheck, config.CHECK_INTERVAL * 2);
+                    scheduleNextCheck(config.CHECK_INTERVAL * 2);
                 });
         }
     } catch (error) {
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('./config');
+const utils = require('./utils');
+
+// Landing statistics are kept next to the trade journal so they survive restarts
+const REGION_STATS_FILE = path.join(__dirname, 'trades', 'jito_region_stats.json');
+
+// Cap on the exponential 429 backoff (JITO_REGION_BACKOFF * 2^5)
+const MAX_BACKOFF_DOUBLINGS = 5;
+
+// Per-region request timing: region name -> { lastRequestAt, blockedUntil, rateLimitStreak }
+const regionLimits = new Map();
+
+// Per-region counters: region name -> { accepted, landed, rateLimited }
+let regionStats = {};
+
+/**
+ * Jito block engine regions
+ * Bundles are fanned out to every regional block engine. Each region has
+ * its own request spacing and 429 backoff, and the regions that land the
+ * most of the bundles they accept are preferred while we are rate-limited
+ */
+const jitoRegions = {
+    /**
+     * Configured regions, or the single JITO_BLOCK_ENGINE_URL when none are listed
+     * @returns {Array<{name: string, url: string}>}
+     */
+    getRegions: function() {
+        const regions = config.JITO_BLOCK_ENGINE_URLS || [];
+        if (regions.length === 0) {
+            return [{ name: "default", url: config.JITO_BLOCK_ENGINE_URL }];
+        }
+        return regions;
+    },
+    
+    getLimits: function(region) {
+        if (!regionLimits.has(region.name)) {
+            regionLimits.set(region.name, { lastRequestAt: 0, blockedUntil: 0, rateLimitStreak: 0 });
+        }
+        return regionLimits.get(region.name);
+    },
+    
+    getStats: function(region) {
+        if (!regionStats[region.name]) {
+            regionStats[region.name] = { accepted: 0, landed: 0, rateLimited: 0 };
+        }
+        return regionStats[region.name];
+    },
+    
+    /**
+     * Share of accepted bundles that landed, smoothed so new regions start at 0.5
+     * @returns {number} Landing rate between 0 and 1
+     */
+    getLandingRate: function(region) {
+        const stats = jitoRegions.getStats(region);
+        return (stats.landed + 1) / (stats.accepted + 2);
+    },
+    
+    /**
+     * Regions ordered by landing rate, best first
+     */
+    rankRegions: function(regions = jitoRegions.getRegions()) {
+        return [...regions].sort((a, b) => jitoRegions.getLandingRate(b) - jitoRegions.getLandingRate(a));
+    },
+    
+    isRateLimited: function(region) {
+        return Date.now() < jitoRegions.getLimits(region).blockedUntil;
+    },
+    
+    /**
+     * Regions to send the next bundle to
+     * All regions while none is backing off; once one is, only the best-landing
+     * JITO_REGION_FANOUT_WHEN_LIMITED regions that are still available
+     * @returns {Array<{name: string, url: string}>} Empty when every region is backing off
+     */
+    selectRegions: function() {
+        const ranked = jitoRegions.rankRegions();
+        const available = ranked.filter(region => !jitoRegions.isRateLimited(region));
+        
+        if (available.length === ranked.length) {
+            return available;
+        }
+        return available.slice(0, config.JITO_REGION_FANOUT_WHEN_LIMITED || 1);
+    },
+    
+    /**
+     * Wait until the region's JITO_REGION_MIN_INTERVAL has passed and claim the next request slot
+     */
+    waitForSlot: async function(region) {
+        const limits = jitoRegions.getLimits(region);
+        const nextAt = Math.max(limits.lastRequestAt + (config.JITO_REGION_MIN_INTERVAL || 0), limits.blockedUntil);
+        // Claim the slot before sleeping so concurrent callers queue behind it
+        limits.lastRequestAt = Math.max(Date.now(), nextAt);
+        
+        if (nextAt > Date.now()) {
+            await utils.sleep(nextAt - Date.now());
+        }
+    },
+    
+    /**
+     * Back a region off after a 429, doubling the pause on each consecutive one
+     */
+    markRateLimited: function(region) {
+        const limits = jitoRegions.getLimits(region);
+        const backoff = config.JITO_REGION_BACKOFF * Math.pow(2, Math.min(limits.rateLimitStreak, MAX_BACKOFF_DOUBLINGS));
+        
+        limits.rateLimitStreak++;
+        limits.blockedUntil = Date.now() + backoff;
+        jitoRegions.getStats(region).rateLimited++;
+        console.log(`Jito region ${region.name} is rate limited, pausing it for ${backoff/1000} seconds`);
+    },
+    
+    /**
+     * Send a JSON-RPC request to one region, respecting its rate limit
+     * @returns {Promise<Object>} Response body
+     * @throws {Error} Request errors; error.rateLimited is set on a 429
+     */
+    post: async function(region, payload) {
+        await jitoRegions.waitForSlot(region);
+        
+        try {
+            const response = await axios.post(region.url, payload, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: config.JITO_BUNDLE_TIMEOUT || 10000
+            });
+            jitoRegions.getLimits(region).rateLimitStreak = 0;
+            return response.data;
+        } catch (error) {
+            if (error.response && error.response.status === 429) {
+                jitoRegions.markRateLimited(region);
+                error.rateLimited = true;
+            }
+            throw error;
+        }
+    },
+    
+    /**
+     * Count a bundle as accepted by each of these regions
+     */
+    recordAccepted: function(regions) {
+        regions.forEach(region => jitoRegions.getStats(region).accepted++);
+        jitoRegions.saveStats();
+    },
+    
+    /**
+     * Credit the region whose block engine landed a bundle
+     */
+    recordLanded: function(region) {
+        jitoRegions.getStats(region).landed++;
+        jitoRegions.saveStats();
+    },
+    
+    loadStats: function() {
+        try {
+            if (fs.existsSync(REGION_STATS_FILE)) {
+                regionStats = JSON.parse(fs.readFileSync(REGION_STATS_FILE, 'utf8'));
+            }
+        } catch (error) {
+            console.error("Error loading Jito region stats:", error.message);
+            regionStats = {};
+        }
+    },
+    
+    saveStats: function() {
+        try {
+            if (fs.existsSync(path.dirname(REGION_STATS_FILE))) {
+                fs.writeFileSync(REGION_STATS_FILE, JSON.stringify(regionStats, null, 2));
+            }
+        } catch (error) {
+            console.error("Error saving Jito region stats:", error.message);
+        }
+    }
+};
+
+jitoRegions.loadStats();
+
+module.exports = jitoRegions;
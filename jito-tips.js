@@ -0,0 +1,115 @@
+const { PublicKey, SystemProgram } = require('@solana/web3.js');
+const axios = require('axios');
+const config = require('./config');
+
+// Tip accounts last returned by getTipAccounts and when they were fetched
+let fetchedTipAccounts = [];
+let fetchedAt = 0;
+
+/**
+ * Jito tip accounts and tip instructions
+ * Tips are spread over the published tip accounts instead of always
+ * write-locking the same one. This module must not require utils.js or
+ * signing-guard.js, since the guard reads the allowed tip accounts from it
+ */
+const jitoTips = {
+    /**
+     * Tip accounts pinned in config (JITO_TIP_ACCOUNTS and JITO_TIP_ACCOUNT)
+     * These are the only tip accounts the signing guard approves
+     * @returns {Array<string>} Base58 addresses
+     */
+    getPinnedTipAccounts: function() {
+        const accounts = new Set(config.JITO_TIP_ACCOUNTS || []);
+        
+        if (config.JITO_TIP_ACCOUNT) {
+            accounts.add(config.JITO_TIP_ACCOUNT);
+        }
+        
+        return [...accounts];
+    },
+    
+    /**
+     * Tip accounts a tip may be sent to: the pinned set, narrowed to the ones
+     * the block engine currently returns when JITO_TIP_ACCOUNTS_SOURCE is "block_engine"
+     * A fetched account that is not pinned is never used
+     * @returns {Array<string>} Base58 addresses
+     */
+    getTipAccounts: function() {
+        const pinned = jitoTips.getPinnedTipAccounts();
+        
+        if (config.JITO_TIP_ACCOUNTS_SOURCE === "block_engine" && fetchedTipAccounts.length > 0) {
+            const current = pinned.filter(account => fetchedTipAccounts.includes(account));
+            // Fall back to the pinned set if the block engine returned none of them
+            if (current.length > 0) {
+                return current;
+            }
+        }
+        
+        return pinned;
+    },
+    
+    /**
+     * Fetch the current tip accounts with getTipAccounts (at most every JITO_TIP_ACCOUNTS_REFRESH_INTERVAL)
+     * Does nothing unless JITO_TIP_ACCOUNTS_SOURCE is "block_engine"
+     */
+    refreshTipAccounts: async function() {
+        if (config.JITO_TIP_ACCOUNTS_SOURCE !== "block_engine" || Date.now() - fetchedAt < config.JITO_TIP_ACCOUNTS_REFRESH_INTERVAL) {
+            return;
+        }
+        
+        try {
+            const response = await axios.post(config.JITO_BLOCK_ENGINE_URL, {
+                jsonrpc: "2.0",
+                id: 1,
+                method: "getTipAccounts",
+                params: []
+            }, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: config.JITO_BUNDLE_TIMEOUT || 10000
+            });
+            
+            const accounts = (response.data && response.data.result) || [];
+            // Only keep valid addresses
+            fetchedTipAccounts = accounts.filter(account => {
+                try {
+                    new PublicKey(account);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            });
+            fetchedAt = Date.now();
+            console.log(`Fetched ${fetchedTipAccounts.length} Jito tip accounts`);
+        } catch (error) {
+            console.error("Error fetching Jito tip accounts:", error.message);
+        }
+    },
+    
+    /**
+     * Pick a tip account at random
+     * @returns {PublicKey} Tip account
+     */
+    pickTipAccount: function() {
+        const accounts = jitoTips.getTipAccounts();
+        if (accounts.length === 0) {
+            throw new Error("No Jito tip accounts configured (JITO_TIP_ACCOUNTS)");
+        }
+        return new PublicKey(accounts[Math.floor(Math.random() * accounts.length)]);
+    },
+    
+    /**
+     * Tip transfer to a random tip account
+     * @param {PublicKey} payer Wallet paying the tip
+     * @param {number} lamports Tip amount
+     * @returns {TransactionInstruction} System transfer instruction
+     */
+    createTipInstruction: function(payer, lamports) {
+        return SystemProgram.transfer({
+            fromPubkey: payer,
+            toPubkey: jitoTips.pickTipAccount(),
+            lamports
+        });
+    }
+};
+
+module.exports = jitoTips;
@@ -0,0 +1,121 @@
+const config = require('./config');
+const utils = require('./utils');
+const flashReserves = require('./flash-reserves');
+const kaminoReserve = require('./kamino-reserve');
+
+// Byte offset of the borrow instruction index in flash repay data (discriminator + u64 amount)
+const REPAY_BORROW_INDEX_OFFSET = 16;
+// Position of the reserve in the borrow and repay account lists
+const RESERVE_KEY_INDEX = 3;
+
+/**
+ * Kamino Lending flash-loan provider
+ * Borrows from the reserves in flash-reserves.js with the live fee and
+ * liquidity decoded by kamino-reserve.js
+ */
+const kaminoProvider = {
+    name: "kamino",
+    programId: config.KAMINO_LENDING_PROGRAM_ID,
+    borrowInstructionCount: 1,
+    repayInstructionCount: 1,
+    
+    supportsMint: function(mint) {
+        return flashReserves.getReserve(mint) !== null;
+    },
+    
+    /**
+     * Liquidity the reserve can lend right now
+     * @returns {Promise<number|null>} Available base units (0 when flash loans are disabled), or null if unknown or the reserve does not match the registry
+     */
+    availableLiquidity: async function(connection, mint) {
+        const state = await kaminoReserve.fetchState(connection, flashReserves.getReserve(mint));
+        if (!state) {
+            return null;
+        }
+        
+        // Never borrow from a reserve whose mint, market or vaults differ from the registry
+        if (!state.matchesRegistry) {
+            return null;
+        }
+        return state.flashLoansEnabled ? state.availableLiquidity : 0;
+    },
+    
+    /**
+     * Fee rate from the last reserve read, or the configured fallback
+     */
+    feeRate: function(mint) {
+        const state = kaminoReserve.getCachedState(flashReserves.getReserve(mint));
+        return state && state.flashLoansEnabled ? state.flashLoanFeeRate : config.KAMINO_FLASH_LOAN_FEE_PERCENTAGE;
+    },
+    
+    feeFor: function(amount, mint) {
+        return Math.ceil(parseInt(amount) * kaminoProvider.feeRate(mint));
+    },
+    
+    buildBorrow: function({ payer, tokenAccount, mint, amount }) {
+        const { borrowIx } = utils.createFlashLoanInstructionSet(payer, tokenAccount, amount, flashReserves.getReserve(mint));
+        return [borrowIx];
+    },
+    
+    buildRepay: function({ payer, tokenAccount, mint, amount }) {
+        const { repayIx } = utils.createFlashLoanInstructionSet(payer, tokenAccount, amount, flashReserves.getReserve(mint));
+        return [repayIx];
+    },
+    
+    /**
+     * Point the repay instruction at the borrow instruction's final position
+     */
+    setInstructionIndexes: function({ repayIxs }, { borrowIndex }) {
+        repayIxs[0].data.writeUInt8(borrowIndex, REPAY_BORROW_INDEX_OFFSET);
+    },
+    
+    /**
+     * @returns {string|null} Why the borrow and repay do not pair up, or null if they do
+     */
+    checkPairing: function({ borrowIxs, repayIxs }, { borrowIndex }) {
+        const [borrowIx] = borrowIxs;
+        const [repayIx] = repayIxs;
+        
+        if (!borrowIx.data.subarray(0, 8).equals(Buffer.from(config.FLASH_BORROW_RESERVE_LIQUIDITY_DISCRIMINATOR)) ||
+            !repayIx.data.subarray(0, 8).equals(Buffer.from(config.FLASH_REPAY_RESERVE_LIQUIDITY_DISCRIMINATOR))) {
+            return "instructions are not flash borrow and flash repay";
+        }
+        if (!borrowIx.data.subarray(8, 16).equals(repayIx.data.subarray(8, 16))) {
+            return "repay amount differs from the borrowed amount";
+        }
+        if (!borrowIx.keys[RESERVE_KEY_INDEX].pubkey.equals(repayIx.keys[RESERVE_KEY_INDEX].pubkey)) {
+            return "borrow and repay use different reserves";
+        }
+        if (repayIx.data.readUInt8(REPAY_BORROW_INDEX_OFFSET) !== borrowIndex) {
+            return `repay points at instruction ${repayIx.data.readUInt8(REPAY_BORROW_INDEX_OFFSET)}, borrow is at ${borrowIndex}`;
+        }
+        return null;
+    },
+    
+    /**
+     * Reserve written by the flash loan (used to sample priority fees)
+     */
+    getPoolAddress: function(mint) {
+        return flashReserves.getReserve(mint).reserve;
+    },
+    
+    requiredLookupAccounts: function(mint) {
+        const reserve = flashReserves.getReserve(mint);
+        return [
+            config.KAMINO_LENDING_PROGRAM_ID,
+            reserve.lendingMarket,
+            reserve.lendingMarketAuthority,
+            config.KAMINO_REFERRER_TOKEN_STATE,
+            config.KAMINO_REFERRER_ACCOUNT,
+            reserve.reserve,
+            reserve.liquiditySupply,
+            reserve.feeReceiver
+        ];
+    },
+    
+    getMints: function() {
+        return flashReserves.getReserves().map(reserve => reserve.mint);
+    }
+};
+
+module.exports = kaminoProvider;
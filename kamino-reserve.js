@@ -0,0 +1,137 @@
+const { PublicKey } = require('@solana/web3.js');
+const config = require('./config');
+
+// Byte offsets in a Kamino lending Reserve account (after the 8-byte Anchor discriminator)
+const RESERVE_OFFSETS = {
+    lastUpdateSlot: 16,
+    lendingMarket: 32,
+    liquidityMint: 128,
+    liquiditySupplyVault: 160,
+    liquidityFeeVault: 192,
+    liquidityAvailableAmount: 224,
+    configStatus: 4856,
+    configFlashLoanFeeSf: 4904
+};
+const RESERVE_MIN_SIZE = RESERVE_OFFSETS.configFlashLoanFeeSf + 8;
+
+// Fees are stored as fixed-point fractions with 60 fractional bits
+const FRACTION_ONE = 2 ** 60;
+
+// A flash loan fee of u64::MAX marks flash loans as disabled
+const FLASH_LOANS_DISABLED_SF = 0xffffffffffffffffn;
+
+// Reserve status 0 is Active (1 Obsolete, 2 Hidden)
+const RESERVE_STATUS_ACTIVE = 0;
+
+// Decoded reserve state per reserve address, tagged with the slot it was read at
+const reserveCache = new Map();
+
+/**
+ * Kamino reserve account decoder
+ * Reads the live available liquidity and flash-loan fee of a reserve
+ */
+const kaminoReserve = {
+    /**
+     * Decode the fields we need from raw reserve account data
+     * @param {Buffer} data Reserve account data
+     * @returns {Object} Decoded reserve state
+     */
+    decode: function(data) {
+        if (!data || data.length < RESERVE_MIN_SIZE) {
+            throw new Error(`Reserve account data too short: ${data ? data.length : 0} bytes`);
+        }
+        
+        const readKey = offset => new PublicKey(data.subarray(offset, offset + 32));
+        const flashLoanFeeSf = data.readBigUInt64LE(RESERVE_OFFSETS.configFlashLoanFeeSf);
+        const status = data.readUInt8(RESERVE_OFFSETS.configStatus);
+        const flashLoansEnabled = status === RESERVE_STATUS_ACTIVE && flashLoanFeeSf !== FLASH_LOANS_DISABLED_SF;
+        
+        return {
+            lastUpdateSlot: Number(data.readBigUInt64LE(RESERVE_OFFSETS.lastUpdateSlot)),
+            lendingMarket: readKey(RESERVE_OFFSETS.lendingMarket),
+            mint: readKey(RESERVE_OFFSETS.liquidityMint),
+            supplyVault: readKey(RESERVE_OFFSETS.liquiditySupplyVault),
+            feeVault: readKey(RESERVE_OFFSETS.liquidityFeeVault),
+            availableLiquidity: Number(data.readBigUInt64LE(RESERVE_OFFSETS.liquidityAvailableAmount)),
+            status,
+            flashLoansEnabled,
+            flashLoanFeeRate: flashLoansEnabled ? Number(flashLoanFeeSf) / FRACTION_ONE : null
+        };
+    },
+    
+    /**
+     * Check the registry entry against the reserve account
+     * Derived vaults are replaced with the ones the reserve stores; anything
+     * else that disagrees is reported
+     */
+    checkRegistryEntry: function(reserve, state) {
+        const mismatches = [];
+        
+        if (!reserve.vaultsConfigured) {
+            reserve.liquiditySupply = state.supplyVault;
+            reserve.feeReceiver = state.feeVault;
+        }
+        
+        if (!state.mint.equals(reserve.mint)) mismatches.push(`mint ${state.mint.toBase58()}`);
+        if (!state.lendingMarket.equals(reserve.lendingMarket)) mismatches.push(`lending market ${state.lendingMarket.toBase58()}`);
+        if (!state.supplyVault.equals(reserve.liquiditySupply)) mismatches.push(`supply vault ${state.supplyVault.toBase58()}`);
+        if (!state.feeVault.equals(reserve.feeReceiver)) mismatches.push(`fee vault ${state.feeVault.toBase58()}`);
+        
+        if (mismatches.length > 0) {
+            console.error(`${reserve.name} reserve account does not match the registry: ${mismatches.join(', ')}`);
+        }
+        
+        return mismatches.length === 0;
+    },
+    
+    /**
+     * Last decoded state of a reserve without going to the RPC
+     * @returns {Object|null} Decoded state, or null if the reserve was never read
+     */
+    getCachedState: function(reserve) {
+        return reserveCache.get(reserve.reserve.toBase58()) || null;
+    },
+    
+    /**
+     * Fetch and decode a reserve, reusing the last read while the slot has not advanced
+     * @param {Connection} connection Solana connection
+     * @param {Object} reserve Registry entry from flash-reserves.js
+     * @returns {Promise<Object|null>} Decoded state with the slot it was read at, or null on error
+     */
+    fetchState: async function(connection, reserve) {
+        const key = reserve.reserve.toBase58();
+        
+        try {
+            const slot = await connection.getSlot('confirmed');
+            const cached = reserveCache.get(key);
+            if (cached && cached.slot >= slot) {
+                return cached;
+            }
+            
+            const { context, value } = await connection.getAccountInfoAndContext(reserve.reserve, 'confirmed');
+            if (!value) {
+                throw new Error(`Reserve account ${key} not found`);
+            }
+            
+            if (!value.owner.equals(config.KAMINO_LENDING_PROGRAM_ID)) {
+                throw new Error(`Reserve account ${key} is not owned by the Kamino lending program`);
+            }
+            
+            const state = { ...kaminoReserve.decode(value.data), slot: context.slot };
+            state.matchesRegistry = kaminoReserve.checkRegistryEntry(reserve, state);
+            reserveCache.set(key, state);
+            
+            if (config.VERBOSE_DEBUG) {
+                const fee = state.flashLoansEnabled ? `${(state.flashLoanFeeRate * 100).toFixed(4)}%` : "disabled";
+                console.log(`${reserve.name} reserve @ slot ${state.slot}: available ${state.availableLiquidity}, flash loan fee ${fee}`);
+            }
+            
+            return state;
+        } catch (error) {
+            console.error(`Error reading ${reserve.name} reserve state:`, error.message);
+            return null;
+        }
+    }
+};
+
+module.exports = kaminoReserve;
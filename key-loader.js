@@ -0,0 +1,236 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Keypair } = require('@solana/web3.js');
+const config = require('./config');
+const utils = require('./utils');
+
+// scrypt parameters for new keystores (N = 2^15 needs 32 MiB of memory)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, keyLength: 32 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/**
+ * Wallet key loading from a Solana CLI keypair file, an environment
+ * variable, or a passphrase-encrypted keystore (scrypt + AES-256-GCM)
+ */
+const keyLoader = {
+    /**
+     * Expand a leading ~ and resolve relative paths against the project directory
+     */
+    resolvePath: function(filePath) {
+        if (filePath.startsWith('~')) {
+            return path.join(os.homedir(), filePath.slice(1));
+        }
+        return path.resolve(__dirname, filePath);
+    },
+    
+    /**
+     * Refuse to run while a raw private key is still present in config.js
+     */
+    assertNoRawKeyInConfig: function() {
+        if (config.PRIVATE_KEY !== undefined && config.PRIVATE_KEY !== null && config.PRIVATE_KEY !== "") {
+            throw new Error("config.js still contains PRIVATE_KEY. Remove it and load the wallet with KEY_SOURCE (keystore, file or env) instead.");
+        }
+    },
+    
+    /**
+     * Parse a secret key given either as a JSON byte array or a base58 string
+     */
+    parseSecretKey: function(value) {
+        const trimmed = value.trim();
+        
+        const secretKey = trimmed.startsWith('[')
+            ? Uint8Array.from(JSON.parse(trimmed))
+            : utils.base58Decode(trimmed);
+        
+        if (secretKey.length !== 64) {
+            throw new Error(`Invalid secret key length: ${secretKey.length} bytes (expected 64)`);
+        }
+        
+        return secretKey;
+    },
+    
+    /**
+     * Load a Solana CLI JSON keypair file
+     */
+    readKeypairFile: function(filePath = config.KEYPAIR_FILE) {
+        const resolved = keyLoader.resolvePath(filePath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`Keypair file not found: ${resolved}`);
+        }
+        return Keypair.fromSecretKey(keyLoader.parseSecretKey(fs.readFileSync(resolved, 'utf8')));
+    },
+    
+    /**
+     * Load a key from the configured environment variable
+     */
+    readEnvKey: function(variable = config.PRIVATE_KEY_ENV) {
+        const value = process.env[variable];
+        if (!value) {
+            throw new Error(`Environment variable ${variable} is not set`);
+        }
+        return Keypair.fromSecretKey(keyLoader.parseSecretKey(value));
+    },
+    
+    /**
+     * Ask for a passphrase on the terminal without echoing it
+     */
+    promptPassphrase: function(question) {
+        if (!process.stdin.isTTY) {
+            return Promise.reject(new Error(`No terminal available to ask for the passphrase. Set ${config.KEYSTORE_PASSPHRASE_ENV} instead.`));
+        }
+        
+        return new Promise(resolve => {
+            const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+            let muted = false;
+            rl._writeToOutput = function(text) {
+                if (!muted) {
+                    rl.output.write(text);
+                }
+            };
+            rl.question(question, answer => {
+                rl.output.write('\n');
+                rl.close();
+                resolve(answer);
+            });
+            muted = true;
+        });
+    },
+    
+    /**
+     * Get the keystore passphrase from the environment or the terminal
+     */
+    getPassphrase: async function(question = "Keystore passphrase: ") {
+        const fromEnv = process.env[config.KEYSTORE_PASSPHRASE_ENV];
+        if (fromEnv) {
+            return fromEnv;
+        }
+        return keyLoader.promptPassphrase(question);
+    },
+    
+    deriveKey: function(passphrase, salt, params) {
+        return crypto.scryptSync(passphrase, salt, params.keyLength, {
+            N: params.N,
+            r: params.r,
+            p: params.p,
+            maxmem: SCRYPT_MAXMEM
+        });
+    },
+    
+    /**
+     * Encrypt a keypair into a keystore object
+     * @param {Keypair} keypair Wallet keypair
+     * @param {string} passphrase Encryption passphrase
+     * @returns {Object} Keystore ready to be written as JSON
+     */
+    encryptKeystore: function(keypair, passphrase) {
+        if (!passphrase) {
+            throw new Error("Passphrase must not be empty");
+        }
+        
+        const salt = crypto.randomBytes(32);
+        const iv = crypto.randomBytes(12);
+        const key = keyLoader.deriveKey(passphrase, salt, SCRYPT_PARAMS);
+        
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+        
+        return {
+            version: 1,
+            publicKey: keypair.publicKey.toBase58(),
+            kdf: "scrypt",
+            kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString('hex') },
+            cipher: "aes-256-gcm",
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('hex')
+        };
+    },
+    
+    /**
+     * Decrypt a keystore object back into a keypair
+     */
+    decryptKeystore: function(keystore, passphrase) {
+        if (keystore.kdf !== "scrypt" || keystore.cipher !== "aes-256-gcm") {
+            throw new Error(`Unsupported keystore format: ${keystore.kdf}/${keystore.cipher}`);
+        }
+        
+        const { salt, ...params } = keystore.kdfparams;
+        const key = keyLoader.deriveKey(passphrase, Buffer.from(salt, 'hex'), params);
+        
+        let secretKey;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'hex'));
+            decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+            secretKey = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'hex')), decipher.final()]);
+        } catch (error) {
+            throw new Error("Failed to decrypt keystore: wrong passphrase or corrupted file");
+        }
+        
+        const keypair = Keypair.fromSecretKey(new Uint8Array(secretKey));
+        if (keystore.publicKey && keypair.publicKey.toBase58() !== keystore.publicKey) {
+            throw new Error("Decrypted key does not match the keystore public key");
+        }
+        
+        return keypair;
+    },
+    
+    readKeystoreFile: function(filePath = config.KEYSTORE_FILE) {
+        const resolved = keyLoader.resolvePath(filePath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`Keystore not found: ${resolved}. Create one with: node manage-keystore.js create`);
+        }
+        return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    },
+    
+    /**
+     * Write the keystore to a temp file next to it and rename it into place,
+     * so a crash mid-write never leaves a truncated keystore
+     */
+    writeKeystoreFile: function(keystore, filePath = config.KEYSTORE_FILE) {
+        const resolved = keyLoader.resolvePath(filePath);
+        const tempPath = `${resolved}.${process.pid}.tmp`;
+        
+        try {
+            const fd = fs.openSync(tempPath, 'w', 0o600);
+            try {
+                fs.writeSync(fd, JSON.stringify(keystore, null, 2));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempPath, resolved);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+        
+        return resolved;
+    },
+    
+    /**
+     * Load the wallet from the configured KEY_SOURCE
+     * @returns {Promise<Keypair>} Wallet keypair
+     */
+    loadKeypair: async function() {
+        keyLoader.assertNoRawKeyInConfig();
+        
+        switch (config.KEY_SOURCE) {
+            case "keystore": {
+                const keystore = keyLoader.readKeystoreFile();
+                const passphrase = await keyLoader.getPassphrase();
+                return keyLoader.decryptKeystore(keystore, passphrase);
+            }
+            case "file":
+                return keyLoader.readKeypairFile();
+            case "env":
+                return keyLoader.readEnvKey();
+            default:
+                throw new Error(`Unknown KEY_SOURCE: ${config.KEY_SOURCE} (expected keystore, file or env)`);
+        }
+    }
+};
+
+module.exports = keyLoader;
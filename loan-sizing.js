@@ -0,0 +1,157 @@
+const config = require('./config');
+const exchanges = require('./exchange');
+const flashReserves = require('./flash-reserves');
+const kaminoReserve = require('./kamino-reserve');
+
+// Golden ratio conjugate used to place the probe points
+const INV_PHI = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Flash-loan size search
+ * Finds the borrow amount that maximizes quoted net profit for a cycle,
+ * using golden-section search between the reserve's configured min and max
+ */
+const loanSizing = {
+    /**
+     * Quote a full cycle starting with the given amount
+     * @returns {Promise<string|null>} Final output amount, or null if any leg has no quote
+     */
+    quoteRoundTrip: async function(edges, amount, connection) {
+        let currentAmount = amount.toString();
+        
+        for (const edge of edges) {
+            const quote = await exchanges.getJupiterQuote(
+                edge.fromToken.mint,
+                edge.toToken.mint,
+                currentAmount,
+                connection
+            );
+            
+            if (!quote) {
+                return null;
+            }
+            
+            currentAmount = quote.outAmount;
+        }
+        
+        return currentAmount;
+    },
+    
+    /**
+     * Net profit after the flash loan fee and, in Jito mode, the tip
+     * The tip is paid in SOL, so it is only subtracted for SOL loans
+     */
+    netProfitFor: function(amount, finalAmount, reserve, flashLoanFeeRate = config.KAMINO_FLASH_LOAN_FEE_PERCENTAGE) {
+        const grossProfit = finalAmount - amount;
+        const flashLoanFee = Math.ceil(amount * flashLoanFeeRate);
+        const estimatedTip = config.JITO_MODE && reserve.isNative ?
+            Math.max(config.JITO_MIN_TIP, Math.floor(grossProfit * config.JITO_TIP_PERCENTAGE)) : 0;
+        
+        return grossProfit - flashLoanFee - estimatedTip;
+    },
+    
+    /**
+     * Liquidity the reserve can lend right now
+     * Read from the reserve account, falling back to the supply vault balance
+     * @returns {Promise<number|null>} Available base units, or null if unknown
+     */
+    getAvailableLiquidity: async function(connection, reserve = flashReserves.getSolReserve()) {
+        const state = await kaminoReserve.fetchState(connection, reserve);
+        if (state) {
+            return state.availableLiquidity;
+        }
+        
+        try {
+            const balance = await connection.getTokenAccountBalance(reserve.liquiditySupply);
+            return parseInt(balance.value.amount);
+        } catch (error) {
+            console.error(`Error reading ${reserve.name} reserve liquidity:`, error.message);
+            return null;
+        }
+    },
+    
+    /**
+     * Search for the net-profit-maximizing borrow amount
+     * @param {Array} edges Cycle edges with fromToken/toToken
+     * @param {Connection} connection Solana connection
+     * @param {Object} options Optional overrides
+     * @param {Object} options.reserve Reserve to borrow from (see flash-reserves.js), SOL by default
+     * @param {number} options.availableLiquidity Reserve liquidity, fetched when not given
+     * @param {number} options.flashLoanFeeRate Live flash loan fee rate, KAMINO_FLASH_LOAN_FEE_PERCENTAGE by default
+     * @returns {Promise<{amount: string, finalAmount: string, netProfit: number}|null>} Best size found
+     */
+    findOptimalAmount: async function(edges, connection, options = {}) {
+        const reserve = options.reserve || flashReserves.getSolReserve();
+        let min = parseInt(reserve.loanSizeMin || config.LOAN_SIZE_MIN);
+        let max = parseInt(reserve.loanSizeMax || config.LOAN_SIZE_MAX);
+        
+        const availableLiquidity = options.availableLiquidity !== undefined
+            ? options.availableLiquidity
+            : await loanSizing.getAvailableLiquidity(connection, reserve);
+        
+        if (availableLiquidity !== null && availableLiquidity < max) {
+            console.log(`Capping loan size at available reserve liquidity: ${flashReserves.formatAmount(reserve, availableLiquidity)}`);
+            max = availableLiquidity;
+        }
+        
+        if (max < min) {
+            console.log(`Reserve liquidity ${max} is below the minimum loan size ${min}`);
+            return null;
+        }
+        
+        // Each amount is quoted at most once
+        const evaluations = new Map();
+        const evaluate = async (amount) => {
+            amount = Math.floor(amount);
+            if (!evaluations.has(amount)) {
+                const finalAmount = await loanSizing.quoteRoundTrip(edges, amount, connection);
+                const netProfit = finalAmount === null ? -Infinity : loanSizing.netProfitFor(amount, parseInt(finalAmount), reserve, options.flashLoanFeeRate);
+                evaluations.set(amount, { amount: amount.toString(), finalAmount, netProfit });
+                
+                if (config.VERBOSE_DEBUG) {
+                    console.log(`Loan size ${flashReserves.formatAmount(reserve, amount)} -> net profit ${netProfit}`);
+                }
+            }
+            return evaluations.get(amount).netProfit;
+        };
+        
+        console.log(`Searching loan size between ${flashReserves.formatAmount(reserve, min)} and ${flashReserves.formatAmount(reserve, max)}...`);
+        
+        let c = max - INV_PHI * (max - min);
+        let d = min + INV_PHI * (max - min);
+        let fc = await evaluate(c);
+        let fd = await evaluate(d);
+        
+        for (let i = 0; i < config.LOAN_SIZE_SEARCH_ITERATIONS; i++) {
+            if (fc >= fd) {
+                max = d;
+                d = c;
+                fd = fc;
+                c = max - INV_PHI * (max - min);
+                fc = await evaluate(c);
+            } else {
+                min = c;
+                c = d;
+                fc = fd;
+                d = min + INV_PHI * (max - min);
+                fd = await evaluate(d);
+            }
+        }
+        
+        // Pick the best size we actually quoted
+        let best = null;
+        for (const evaluation of evaluations.values()) {
+            if (evaluation.finalAmount !== null && (!best || evaluation.netProfit > best.netProfit)) {
+                best = evaluation;
+            }
+        }
+        
+        if (best) {
+            console.log(`Optimal loan size: ${flashReserves.formatAmount(reserve, best.amount)} (net profit ${flashReserves.formatAmount(reserve, best.netProfit)}, ${evaluations.size} sizes quoted)`);
+        }
+        
+        return best;
+    }
+};
+
+module.exports = loanSizing;
@@ -0,0 +1,152 @@
+const {
+    PublicKey,
+    AddressLookupTableProgram,
+    TransactionMessage,
+    VersionedTransaction
+} = require('@solana/web3.js');
+const config = require('./config');
+const signingGuard = require('./signing-guard');
+const blockhashCache = require('./blockhash-cache');
+const transactionSender = require('./transaction-sender');
+const lookupTableRegistry = require('./lookup-table-registry');
+
+// A lookup table holds at most 256 addresses
+const MAX_ADDRESSES_PER_TABLE = 256;
+
+// Bound on the accounts being counted; the least frequent are dropped past it
+const MAX_TRACKED_ACCOUNTS = 5000;
+
+// How often each non-signer account appeared in a swap we built: address -> count
+const accountCounts = new Map();
+let extendTimer = null;
+let extending = false;
+
+/**
+ * Grows our lookup tables with the pool and vault accounts Jupiter routes use
+ * Swap instructions are counted as they are built, and every
+ * LOOKUP_TABLE_EXTEND_INTERVAL the most frequent accounts that no table
+ * covers yet are added to one of our tables that still has room
+ */
+const lookupTableExtender = {
+    /**
+     * Count the non-signer accounts of swap instructions
+     * @param {Array<TransactionInstruction>} instructions Swap instructions
+     */
+    recordInstructions: function(instructions) {
+        for (const instruction of instructions) {
+            // Signers can never be loaded from a lookup table
+            for (const key of instruction.keys) {
+                if (!key.isSigner) {
+                    const address = key.pubkey.toBase58();
+                    accountCounts.set(address, (accountCounts.get(address) || 0) + 1);
+                }
+            }
+        }
+        
+        if (accountCounts.size > MAX_TRACKED_ACCOUNTS) {
+            const ranked = [...accountCounts.entries()].sort((a, b) => b[1] - a[1]);
+            ranked.slice(MAX_TRACKED_ACCOUNTS / 2).forEach(([address]) => accountCounts.delete(address));
+        }
+    },
+    
+    /**
+     * Accounts seen at least LOOKUP_TABLE_EXTEND_MIN_COUNT times that no table covers, most frequent first
+     * @param {Set<string>} covered Addresses already in a lookup table
+     * @returns {Array<string>}
+     */
+    getCandidates: function(covered) {
+        return [...accountCounts.entries()]
+            .filter(([address, count]) => count >= config.LOOKUP_TABLE_EXTEND_MIN_COUNT && !covered.has(address))
+            .sort((a, b) => b[1] - a[1])
+            .map(([address]) => address);
+    },
+    
+    /**
+     * Add the top uncovered accounts to the owned table with the most room
+     * @param {Keypair} payer Wallet that owns the tables
+     * @param {Connection} connection Solana connection
+     */
+    extend: async function(payer, connection) {
+        if (extending) {
+            return;
+        }
+        
+        extending = true;
+        try {
+            const tables = await lookupTableRegistry.getTables(connection);
+            const covered = new Set();
+            tables.forEach(table => table.state.addresses.forEach(address => covered.add(address.toBase58())));
+            
+            const candidates = lookupTableExtender.getCandidates(covered);
+            if (candidates.length === 0) {
+                return;
+            }
+            
+            const owned = await lookupTableRegistry.getOwnedTables(connection, payer.publicKey);
+            const table = owned.sort((a, b) => a.state.addresses.length - b.state.addresses.length)[0];
+            const room = table ? MAX_ADDRESSES_PER_TABLE - table.state.addresses.length : 0;
+            if (room <= 0) {
+                console.log(`${candidates.length} frequent route accounts are not in a lookup table, but none of ours has room. Run setup-lookup-tables.js to create one`);
+                return;
+            }
+            
+            const batch = candidates.slice(0, Math.min(room, config.LOOKUP_TABLE_EXTEND_BATCH));
+            console.log(`Extending lookup table ${table.key.toBase58()} with ${batch.length} frequent route accounts...`);
+            
+            const { blockhash, lastValidBlockHeight } = blockhashCache.get();
+            const message = new TransactionMessage({
+                payerKey: payer.publicKey,
+                recentBlockhash: blockhash,
+                instructions: [
+                    AddressLookupTableProgram.extendLookupTable({
+                        payer: payer.publicKey,
+                        authority: payer.publicKey,
+                        lookupTable: table.key,
+                        addresses: batch.map(address => new PublicKey(address))
+                    })
+                ]
+            }).compileToV0Message();
+            
+            const transaction = new VersionedTransaction(message);
+            signingGuard.sign(transaction, [payer]);
+            
+            const sent = await transactionSender.sendUntilExpiry(connection, transaction, lastValidBlockHeight);
+            if (sent.status !== "landed-ok") {
+                console.error(`Lookup table extension ${sent.status}: ${sent.error}`);
+                return;
+            }
+            
+            console.log(`Lookup table ${table.key.toBase58()} now has ${table.state.addresses.length + batch.length} addresses`);
+            batch.forEach(address => accountCounts.delete(address));
+            // The registry holds back the new addresses until their warm-up slot has passed
+            lookupTableRegistry.invalidate();
+        } catch (error) {
+            console.error("Error extending lookup tables:", error.message);
+        } finally {
+            extending = false;
+        }
+    },
+    
+    /**
+     * Extend the tables every LOOKUP_TABLE_EXTEND_INTERVAL (never in paper mode)
+     */
+    start: function(payer, connection) {
+        if (!config.LOOKUP_TABLE_AUTO_EXTEND || config.PAPER_MODE) {
+            return;
+        }
+        
+        lookupTableExtender.stop();
+        extendTimer = setInterval(() => lookupTableExtender.extend(payer, connection), config.LOOKUP_TABLE_EXTEND_INTERVAL);
+        // The extension job alone should not keep the process running
+        extendTimer.unref();
+    },
+    
+    stop: function() {
+        if (extendTimer) {
+            clearInterval(extendTimer);
+            extendTimer = null;
+        }
+    }
+};
+
+module.exports = lookupTableExtender;
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { PublicKey, AddressLookupTableAccount } = require('@solana/web3.js');
+const config = require('./config');
+
+// Written by setup-lookup-tables.js
+const LOOKUP_TABLES_FILE = path.join(__dirname, 'lookup_tables.json');
+
+// Loaded tables: address -> AddressLookupTableAccount
+const tableCache = new Map();
+let fileMtime = null;
+let fileAddresses = [];
+let refreshedAt = 0;
+let refreshedAddresses = "";
+let refreshPromise = null;
+
+/**
+ * Address lookup tables used to build transactions
+ * Tables come from lookup_tables.json (the setup output) plus
+ * LOOKUP_TABLES_EXTRA. Loaded tables are cached and re-read every
+ * LOOKUP_TABLE_REFRESH_INTERVAL so extensions and deactivations on-chain
+ * are picked up
+ */
+const lookupTableRegistry = {
+    /**
+     * Table addresses in lookup_tables.json, re-read whenever the file changes
+     * @returns {Array<string>}
+     */
+    readFileAddresses: function() {
+        try {
+            if (!fs.existsSync(LOOKUP_TABLES_FILE)) {
+                fileMtime = null;
+                fileAddresses = [];
+                return fileAddresses;
+            }
+            
+            const mtime = fs.statSync(LOOKUP_TABLES_FILE).mtimeMs;
+            if (mtime !== fileMtime) {
+                const tableData = JSON.parse(fs.readFileSync(LOOKUP_TABLES_FILE, 'utf8'));
+                fileAddresses = (tableData.tables || []).map(table => table.address);
+                fileMtime = mtime;
+                console.log(`Loaded ${fileAddresses.length} lookup tables from ${LOOKUP_TABLES_FILE}`);
+            }
+        } catch (error) {
+            console.error("Error reading lookup tables file:", error.message);
+        }
+        
+        return fileAddresses;
+    },
+    
+    /**
+     * Every table address to use: the setup output plus LOOKUP_TABLES_EXTRA
+     * @returns {Array<string>}
+     */
+    getAddresses: function() {
+        const addresses = new Set(lookupTableRegistry.readFileAddresses());
+        (config.LOOKUP_TABLES_EXTRA || []).forEach(address => addresses.add(address));
+        return [...addresses];
+    },
+    
+    /**
+     * Fetch every table in one request and replace the cached accounts
+     * Tables that are missing or deactivated are dropped
+     * @param {Connection} connection Solana connection
+     */
+    refresh: async function(connection) {
+        const addresses = lookupTableRegistry.getAddresses();
+        const keys = [];
+        for (const address of addresses) {
+            try {
+                keys.push(new PublicKey(address));
+            } catch (error) {
+                console.error(`Invalid lookup table address ${address}`);
+            }
+        }
+        
+        const { context, value: accounts } = keys.length > 0
+            ? await connection.getMultipleAccountsInfoAndContext(keys)
+            : { context: null, value: [] };
+        const seen = new Set();
+        
+        keys.forEach((key, i) => {
+            const address = key.toBase58();
+            const accountInfo = accounts[i];
+            if (!accountInfo) {
+                console.log(`Lookup table not found: ${address}`);
+                return;
+            }
+            
+            let table;
+            try {
+                table = new AddressLookupTableAccount({
+                    key,
+                    state: AddressLookupTableAccount.deserialize(accountInfo.data)
+                });
+            } catch (error) {
+                console.error(`Error decoding lookup table ${address}:`, error.message);
+                return;
+            }
+            
+            if (!table.isActive()) {
+                console.log(`Lookup table ${address} is deactivated, not using it`);
+                return;
+            }
+            
+            // Addresses added in the current slot only become usable in the next one
+            if (context && table.state.lastExtendedSlot >= context.slot) {
+                table.state.addresses = table.state.addresses.slice(0, table.state.lastExtendedSlotStartIndex);
+            }
+            
+            const previous = tableCache.get(address);
+            if (!previous) {
+                console.log(`Loaded lookup table ${address} with ${table.state.addresses.length} addresses`);
+            } else if (previous.state.lastExtendedSlot !== table.state.lastExtendedSlot) {
+                console.log(`Lookup table ${address} changed on-chain: ${previous.state.addresses.length} -> ${table.state.addresses.length} addresses`);
+            }
+            
+            tableCache.set(address, table);
+            seen.add(address);
+        });
+        
+        // Forget tables that were removed, closed or deactivated
+        for (const address of [...tableCache.keys()]) {
+            if (!seen.has(address)) {
+                tableCache.delete(address);
+            }
+        }
+        
+        refreshedAt = Date.now();
+        refreshedAddresses = addresses.join(",");
+    },
+    
+    /**
+     * Lookup tables to compile transactions with, refreshed when older than
+     * LOOKUP_TABLE_REFRESH_INTERVAL or when the configured set changes
+     * @param {Connection} connection Solana connection
+     * @returns {Promise<Array<AddressLookupTableAccount>>} Empty if none could be loaded
+     */
+    getTables: async function(connection) {
+        const addresses = lookupTableRegistry.getAddresses();
+        const stale = Date.now() - refreshedAt >= config.LOOKUP_TABLE_REFRESH_INTERVAL;
+        
+        if (stale || addresses.join(",") !== refreshedAddresses) {
+            // Concurrent callers share one refresh
+            if (!refreshPromise) {
+                refreshPromise = lookupTableRegistry.refresh(connection)
+                    .catch(error => {
+                        console.error("Error refreshing lookup tables:", error.message);
+                    })
+                    .finally(() => {
+                        refreshPromise = null;
+                    });
+            }
+            await refreshPromise;
+        }
+        
+        return [...tableCache.values()];
+    },
+    
+    /**
+     * Tables whose authority is the given wallet, i.e. the ones we can extend
+     * @param {Connection} connection Solana connection
+     * @param {PublicKey} authority Wallet public key
+     * @returns {Promise<Array<AddressLookupTableAccount>>}
+     */
+    getOwnedTables: async function(connection, authority) {
+        const tables = await lookupTableRegistry.getTables(connection);
+        return tables.filter(table => table.state.authority && table.state.authority.equals(authority));
+    },
+    
+    /**
+     * Force a refresh on the next getTables call
+     */
+    invalidate: function() {
+        refreshedAt = 0;
+    }
+};
+
+module.exports = lookupTableRegistry;
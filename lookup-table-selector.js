@@ -0,0 +1,170 @@
+const { PublicKey, TransactionMessage } = require('@solana/web3.js');
+
+// Maximum serialized transaction size
+const MAX_TRANSACTION_SIZE = 1232;
+
+// Each key loaded from a table replaces a 32-byte static key with a 1-byte index
+const BYTES_SAVED_PER_KEY = 31;
+
+// Each table in the message costs its address plus two compact-array lengths
+const BYTES_PER_TABLE = 34;
+
+// Any 32-byte value works for predicting sizes; the real blockhash is set when building
+const PLACEHOLDER_BLOCKHASH = PublicKey.default.toBase58();
+
+/**
+ * Picks the lookup tables worth including in a transaction and predicts its size
+ * Tables are chosen greedily, the one covering the most keys still in the static
+ * list first, for as long as the next table saves more bytes than it costs
+ */
+const lookupTableSelector = {
+    /**
+     * Length of a compact-u16 prefix
+     * @param {number} length Encoded length
+     * @returns {number} Bytes
+     */
+    getCompactLength: function(length) {
+        if (length < 0x80) return 1;
+        if (length < 0x4000) return 2;
+        return 3;
+    },
+    
+    /**
+     * Serialized size of a signed transaction for a compiled v0 message
+     * @param {MessageV0} message Compiled message
+     * @returns {number} Size in bytes, including signatures
+     */
+    getTransactionSize: function(message) {
+        const compact = lookupTableSelector.getCompactLength;
+        const signatures = message.header.numRequiredSignatures;
+        
+        // Signatures, version prefix, header, static keys and blockhash
+        let size = compact(signatures) + signatures * 64 + 1 + 3;
+        size += compact(message.staticAccountKeys.length) + message.staticAccountKeys.length * 32 + 32;
+        
+        size += compact(message.compiledInstructions.length);
+        for (const instruction of message.compiledInstructions) {
+            size += 1;
+            size += compact(instruction.accountKeyIndexes.length) + instruction.accountKeyIndexes.length;
+            size += compact(instruction.data.length) + instruction.data.length;
+        }
+        
+        size += compact(message.addressTableLookups.length);
+        for (const lookup of message.addressTableLookups) {
+            size += 32;
+            size += compact(lookup.writableIndexes.length) + lookup.writableIndexes.length;
+            size += compact(lookup.readonlyIndexes.length) + lookup.readonlyIndexes.length;
+        }
+        
+        return size;
+    },
+    
+    /**
+     * Keys a lookup table may load: neither signers nor invoked programs
+     * @param {Array<TransactionInstruction>} instructions Instructions of the transaction
+     * @returns {Set<string>}
+     */
+    getLoadableKeys: function(instructions) {
+        const programs = new Set(instructions.map(instruction => instruction.programId.toBase58()));
+        const signers = new Set();
+        const keys = new Set();
+        
+        for (const instruction of instructions) {
+            for (const key of instruction.keys) {
+                const address = key.pubkey.toBase58();
+                if (key.isSigner) {
+                    signers.add(address);
+                } else {
+                    keys.add(address);
+                }
+            }
+        }
+        
+        for (const address of keys) {
+            if (signers.has(address) || programs.has(address)) {
+                keys.delete(address);
+            }
+        }
+        
+        return keys;
+    },
+    
+    /**
+     * Choose the smallest set of tables covering the most keys and predict the transaction size
+     * @param {Array<TransactionInstruction>} instructions Instructions of the transaction
+     * @param {PublicKey} payerKey Fee payer
+     * @param {Array<AddressLookupTableAccount>} lookupTables Candidate tables
+     * @returns {{tables: Array<AddressLookupTableAccount>, coveredKeys: number, loadableKeys: number, bytesSaved: number, size: number, legacySize: number, method: string|null}}
+     *   method is "alt" or "legacy" for the smallest format that fits, null when neither does
+     */
+    select: function(instructions, payerKey, lookupTables) {
+        const uncovered = lookupTableSelector.getLoadableKeys(instructions);
+        const loadableKeys = uncovered.size;
+        const candidates = lookupTables.map(table => ({
+            table,
+            addresses: new Set(table.state.addresses.map(address => address.toBase58()))
+        }));
+        const tables = [];
+        
+        while (uncovered.size > 0 && candidates.length > 0) {
+            let best = null;
+            let bestCount = 0;
+            for (const candidate of candidates) {
+                let count = 0;
+                for (const address of uncovered) {
+                    if (candidate.addresses.has(address)) count++;
+                }
+                if (count > bestCount) {
+                    best = candidate;
+                    bestCount = count;
+                }
+            }
+            
+            // Stop once the next table costs more than the keys it would move out of the static list
+            if (!best || bestCount * BYTES_SAVED_PER_KEY <= BYTES_PER_TABLE) {
+                break;
+            }
+            
+            tables.push(best.table);
+            candidates.splice(candidates.indexOf(best), 1);
+            for (const address of best.addresses) {
+                uncovered.delete(address);
+            }
+        }
+        
+        const compile = selectedTables => new TransactionMessage({
+            payerKey,
+            recentBlockhash: PLACEHOLDER_BLOCKHASH,
+            instructions
+        }).compileToV0Message(selectedTables);
+        
+        // A legacy message has the same keys as a v0 message without tables,
+        // minus the version prefix and the empty table list
+        const unoptimizedSize = lookupTableSelector.getTransactionSize(compile([]));
+        const legacySize = unoptimizedSize - 2;
+        const size = tables.length > 0 ? lookupTableSelector.getTransactionSize(compile(tables)) : unoptimizedSize;
+        const bytesSaved = unoptimizedSize - size;
+        
+        let method = null;
+        if (tables.length > 0 && size <= MAX_TRANSACTION_SIZE) {
+            method = "alt";
+        } else if (legacySize <= MAX_TRANSACTION_SIZE) {
+            method = "legacy";
+        }
+        
+        console.log(`Lookup tables: using ${tables.length} of ${lookupTables.length}, covering ${loadableKeys - uncovered.size}/${loadableKeys} loadable keys and saving ${bytesSaved} bytes`);
+        console.log(`Predicted transaction size: ${size} bytes with selected tables, ${legacySize} bytes legacy (limit: ${MAX_TRANSACTION_SIZE} bytes)`);
+        
+        return {
+            tables,
+            coveredKeys: loadableKeys - uncovered.size,
+            loadableKeys,
+            bytesSaved,
+            size,
+            legacySize,
+            method
+        };
+    }
+};
+
+module.exports = lookupTableSelector;
@@ -0,0 +1,102 @@
+/**
+ * This script creates and re-encrypts the passphrase-protected wallet keystore
+ *
+ * Usage:
+ *   node manage-keystore.js create                 Generate a new wallet
+ *   node manage-keystore.js create --from-file     Import config.KEYPAIR_FILE (or --from-file <path>)
+ *   node manage-keystore.js create --from-env      Import the key in config.PRIVATE_KEY_ENV
+ *   node manage-keystore.js reencrypt              Change the keystore passphrase
+ */
+const fs = require('fs');
+const { Keypair } = require('@solana/web3.js');
+const config = require('./config');
+const keyLoader = require('./key-loader');
+
+/**
+ * Ask for a new passphrase twice and make sure both entries match
+ */
+async function askNewPassphrase() {
+    const passphrase = await keyLoader.promptPassphrase("New keystore passphrase: ");
+    const confirmation = await keyLoader.promptPassphrase("Repeat passphrase: ");
+    
+    if (passphrase !== confirmation) {
+        throw new Error("Passphrases do not match");
+    }
+    
+    if (passphrase.length < 12) {
+        throw new Error("Passphrase must be at least 12 characters");
+    }
+    
+    return passphrase;
+}
+
+/**
+ * Create a new keystore from a generated or imported key
+ */
+async function createKeystore(args) {
+    const target = keyLoader.resolvePath(config.KEYSTORE_FILE);
+    if (fs.existsSync(target)) {
+        throw new Error(`Keystore already exists at ${target}. Use "reencrypt" to change its passphrase.`);
+    }
+    
+    let keypair;
+    const fileFlag = args.indexOf('--from-file');
+    
+    if (fileFlag !== -1) {
+        const filePath = args[fileFlag + 1] || config.KEYPAIR_FILE;
+        console.log(`Importing keypair file ${keyLoader.resolvePath(filePath)}`);
+        keypair = keyLoader.readKeypairFile(filePath);
+    } else if (args.includes('--from-env')) {
+        console.log(`Importing key from ${config.PRIVATE_KEY_ENV}`);
+        keypair = keyLoader.readEnvKey();
+    } else {
+        console.log("Generating a new wallet keypair");
+        keypair = Keypair.generate();
+    }
+    
+    const passphrase = await askNewPassphrase();
+    const written = keyLoader.writeKeystoreFile(keyLoader.encryptKeystore(keypair, passphrase));
+    
+    console.log(`Keystore for ${keypair.publicKey.toBase58()} written to ${written}`);
+    return true;
+}
+
+/**
+ * Decrypt the keystore with the current passphrase and encrypt it with a new one
+ */
+async function reencryptKeystore() {
+    const keystore = keyLoader.readKeystoreFile();
+    const currentPassphrase = await keyLoader.promptPassphrase("Current keystore passphrase: ");
+    const keypair = keyLoader.decryptKeystore(keystore, currentPassphrase);
+    
+    const passphrase = await askNewPassphrase();
+    const written = keyLoader.writeKeystoreFile(keyLoader.encryptKeystore(keypair, passphrase));
+    
+    console.log(`Keystore for ${keypair.publicKey.toBase58()} re-encrypted at ${written}`);
+    return true;
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    
+    switch (command) {
+        case "create":
+            return createKeystore(args);
+        case "reencrypt":
+            return reencryptKeystore();
+        default:
+            console.log("Usage: node manage-keystore.js <create [--from-file [path] | --from-env] | reencrypt>");
+            return false;
+    }
+}
+
+main()
+    .then(success => {
+        if (!success) {
+            process.exit(1);
+        }
+    })
+    .catch(error => {
+        console.error("Keystore error:", error.message);
+        process.exit(1);
+    });
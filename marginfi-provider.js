@@ -0,0 +1,237 @@
+const { PublicKey, TransactionInstruction } = require('@solana/web3.js');
+const BN = require('bn.js');
+const config = require('./config');
+
+// Anchor instruction discriminators from the marginfi v2 IDL
+const DISCRIMINATORS = {
+    startFlashloan: [14, 131, 33, 220, 81, 186, 180, 107],
+    endFlashloan: [105, 124, 201, 106, 153, 2, 8, 156],
+    borrow: [4, 126, 116, 53, 48, 5, 212, 31],
+    repay: [79, 209, 172, 177, 222, 51, 173, 151]
+};
+
+// Byte offsets in a marginfi Bank account (after the 8-byte discriminator)
+const BANK_OFFSETS = {
+    mint: 8,
+    group: 41,
+    liquidityVault: 112
+};
+
+// Decoded bank state per bank address
+const bankCache = new Map();
+
+function u64(value) {
+    return new BN(value.toString()).toArrayLike(Buffer, 'le', 8);
+}
+
+/**
+ * marginfi v2 flash-loan provider
+ * Flash loans are free but run inside start/end flashloan instructions on a
+ * marginfi account you own (config.MARGINFI_ACCOUNT), which must have no open
+ * positions so the end-of-flashloan health check needs no oracle accounts
+ */
+const marginfiProvider = {
+    name: "marginfi",
+    programId: config.MARGINFI_PROGRAM_ID,
+    borrowInstructionCount: 2,
+    repayInstructionCount: 2,
+    
+    getBank: function(mint) {
+        const key = typeof mint === 'string' ? mint : mint.toBase58();
+        const entry = (config.MARGINFI_BANKS || []).find(bank => bank.mint === key);
+        return entry ? new PublicKey(entry.bank) : null;
+    },
+    
+    supportsMint: function(mint) {
+        return Boolean(config.MARGINFI_ACCOUNT) && marginfiProvider.getBank(mint) !== null;
+    },
+    
+    /**
+     * Read the bank and its liquidity vault balance
+     * @returns {Promise<number|null>} Available base units, or null if unknown
+     */
+    availableLiquidity: async function(connection, mint) {
+        const bank = marginfiProvider.getBank(mint);
+        
+        try {
+            const account = await connection.getAccountInfo(bank, 'confirmed');
+            if (!account || !account.owner.equals(config.MARGINFI_PROGRAM_ID)) {
+                throw new Error(`Bank ${bank.toBase58()} is not a marginfi account`);
+            }
+            
+            const readKey = offset => new PublicKey(account.data.subarray(offset, offset + 32));
+            const bankMint = readKey(BANK_OFFSETS.mint);
+            const group = readKey(BANK_OFFSETS.group);
+            
+            if (bankMint.toBase58() !== (typeof mint === 'string' ? mint : mint.toBase58())) {
+                throw new Error(`Bank ${bank.toBase58()} lends ${bankMint.toBase58()}, not the configured mint`);
+            }
+            if (!group.equals(config.MARGINFI_GROUP)) {
+                throw new Error(`Bank ${bank.toBase58()} belongs to group ${group.toBase58()}`);
+            }
+            
+            const liquidityVault = readKey(BANK_OFFSETS.liquidityVault);
+            const balance = await connection.getTokenAccountBalance(liquidityVault, 'confirmed');
+            const state = { bank, liquidityVault, availableLiquidity: parseInt(balance.value.amount) };
+            bankCache.set(bank.toBase58(), state);
+            
+            return state.availableLiquidity;
+        } catch (error) {
+            console.error("Error reading marginfi bank:", error.message);
+            return null;
+        }
+    },
+    
+    feeRate: function() {
+        return 0;
+    },
+    
+    feeFor: function() {
+        return 0;
+    },
+    
+    getLiquidityVault: function(bank) {
+        const cached = bankCache.get(bank.toBase58());
+        if (cached) {
+            return cached.liquidityVault;
+        }
+        return PublicKey.findProgramAddressSync(
+            [Buffer.from("liquidity_vault"), bank.toBuffer()],
+            config.MARGINFI_PROGRAM_ID
+        )[0];
+    },
+    
+    getLiquidityVaultAuthority: function(bank) {
+        return PublicKey.findProgramAddressSync(
+            [Buffer.from("liquidity_vault_auth"), bank.toBuffer()],
+            config.MARGINFI_PROGRAM_ID
+        )[0];
+    },
+    
+    /**
+     * Start the flashloan and borrow into the token account
+     * The end-flashloan index is set by the transaction assembler
+     */
+    buildBorrow: function({ payer, tokenAccount, mint, amount }) {
+        const bank = marginfiProvider.getBank(mint);
+        const marginfiAccount = new PublicKey(config.MARGINFI_ACCOUNT);
+        
+        const startIx = new TransactionInstruction({
+            programId: config.MARGINFI_PROGRAM_ID,
+            keys: [
+                { pubkey: marginfiAccount, isSigner: false, isWritable: true },
+                { pubkey: payer, isSigner: true, isWritable: false },
+                { pubkey: config.SYSVAR_INSTRUCTIONS_PUBKEY, isSigner: false, isWritable: false }
+            ],
+            data: Buffer.concat([Buffer.from(DISCRIMINATORS.startFlashloan), u64(0)])
+        });
+        
+        const borrowIx = new TransactionInstruction({
+            programId: config.MARGINFI_PROGRAM_ID,
+            keys: [
+                { pubkey: config.MARGINFI_GROUP, isSigner: false, isWritable: false },
+                { pubkey: marginfiAccount, isSigner: false, isWritable: true },
+                { pubkey: payer, isSigner: true, isWritable: false },
+                { pubkey: bank, isSigner: false, isWritable: true },
+                { pubkey: tokenAccount, isSigner: false, isWritable: true },
+                { pubkey: marginfiProvider.getLiquidityVaultAuthority(bank), isSigner: false, isWritable: false },
+                { pubkey: marginfiProvider.getLiquidityVault(bank), isSigner: false, isWritable: true },
+                { pubkey: config.TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+            ],
+            data: Buffer.concat([Buffer.from(DISCRIMINATORS.borrow), u64(amount)])
+        });
+        
+        return [startIx, borrowIx];
+    },
+    
+    /**
+     * Repay the whole liability and end the flashloan
+     */
+    buildRepay: function({ payer, tokenAccount, mint, amount }) {
+        const bank = marginfiProvider.getBank(mint);
+        const marginfiAccount = new PublicKey(config.MARGINFI_ACCOUNT);
+        
+        const repayIx = new TransactionInstruction({
+            programId: config.MARGINFI_PROGRAM_ID,
+            keys: [
+                { pubkey: config.MARGINFI_GROUP, isSigner: false, isWritable: false },
+                { pubkey: marginfiAccount, isSigner: false, isWritable: true },
+                { pubkey: payer, isSigner: true, isWritable: false },
+                { pubkey: bank, isSigner: false, isWritable: true },
+                { pubkey: tokenAccount, isSigner: false, isWritable: true },
+                { pubkey: marginfiProvider.getLiquidityVault(bank), isSigner: false, isWritable: true },
+                { pubkey: config.TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+            ],
+            // repay_all: Some(true) closes the balance so the account ends with no positions
+            data: Buffer.concat([Buffer.from(DISCRIMINATORS.repay), u64(amount), Buffer.from([1, 1])])
+        });
+        
+        const endIx = new TransactionInstruction({
+            programId: config.MARGINFI_PROGRAM_ID,
+            keys: [
+                { pubkey: marginfiAccount, isSigner: false, isWritable: true },
+                { pubkey: payer, isSigner: true, isWritable: false }
+            ],
+            data: Buffer.from(DISCRIMINATORS.endFlashloan)
+        });
+        
+        return [repayIx, endIx];
+    },
+    
+    /**
+     * Point the start-flashloan instruction at the end-flashloan instruction's final position
+     */
+    setInstructionIndexes: function({ borrowIxs }, { endIndex }) {
+        u64(endIndex).copy(borrowIxs[0].data, 8);
+    },
+    
+    /**
+     * @returns {string|null} Why the borrow and repay do not pair up, or null if they do
+     */
+    checkPairing: function({ borrowIxs, repayIxs }, { endIndex }) {
+        const [startIx, borrowIx] = borrowIxs;
+        const [repayIx, endIx] = repayIxs;
+        const hasDiscriminator = (ix, discriminator) => ix.data.subarray(0, 8).equals(Buffer.from(discriminator));
+        
+        if (!hasDiscriminator(startIx, DISCRIMINATORS.startFlashloan) || !hasDiscriminator(borrowIx, DISCRIMINATORS.borrow) ||
+            !hasDiscriminator(repayIx, DISCRIMINATORS.repay) || !hasDiscriminator(endIx, DISCRIMINATORS.endFlashloan)) {
+            return "instructions are not start flashloan, borrow, repay and end flashloan";
+        }
+        if (!borrowIx.keys[3].pubkey.equals(repayIx.keys[3].pubkey)) {
+            return "borrow and repay use different banks";
+        }
+        if (!repayIx.data.subarray(16).equals(Buffer.from([1, 1]))) {
+            return "repay does not close the whole liability";
+        }
+        if (!startIx.keys[0].pubkey.equals(endIx.keys[0].pubkey)) {
+            return "start and end flashloan use different marginfi accounts";
+        }
+        const startEndIndex = Number(startIx.data.readBigUInt64LE(8));
+        if (startEndIndex !== endIndex) {
+            return `start flashloan points at instruction ${startEndIndex}, end flashloan is at ${endIndex}`;
+        }
+        return null;
+    },
+    
+    getPoolAddress: function(mint) {
+        return marginfiProvider.getBank(mint);
+    },
+    
+    requiredLookupAccounts: function(mint) {
+        const bank = marginfiProvider.getBank(mint);
+        return [
+            config.MARGINFI_PROGRAM_ID,
+            config.MARGINFI_GROUP,
+            new PublicKey(config.MARGINFI_ACCOUNT),
+            bank,
+            marginfiProvider.getLiquidityVault(bank),
+            marginfiProvider.getLiquidityVaultAuthority(bank)
+        ];
+    },
+    
+    getMints: function() {
+        return (config.MARGINFI_BANKS || []).map(bank => new PublicKey(bank.mint));
+    }
+};
+
+module.exports = marginfiProvider;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils');
+const flashReserves = require('./flash-reserves');
+
+// Connection methods that broadcast transactions
+const SEND_METHODS = ['sendTransaction', 'sendRawTransaction', 'sendEncodedTransaction'];
+
+// Hypothetical PnL for the current session
+// Top-level profit totals are in SOL; loans in other tokens are totalled in byLoanToken
+const session = {
+    startedAt: new Date().toISOString(),
+    trades: 0,
+    grossProfit: 0,
+    flashLoanFees: 0,
+    jitoTips: 0,
+    priorityFees: 0,
+    netProfit: 0,
+    byExecutionMethod: {},
+    byLoanToken: {}
+};
+
+/**
+ * Paper trading: the full pipeline runs and real transactions are built,
+ * signed and size-checked, but nothing is ever broadcast
+ */
+const paperTrading = {
+    /**
+     * Wrap a connection so any attempt to broadcast throws
+     * @param {Connection} connection Solana connection
+     * @returns {Connection} Read-only connection proxy
+     */
+    wrapConnection: function(connection) {
+        return new Proxy(connection, {
+            get(target, property) {
+                if (SEND_METHODS.includes(property)) {
+                    return () => {
+                        throw new Error(`${property} is disabled in paper mode`);
+                    };
+                }
+                const value = target[property];
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    },
+    
+    /**
+     * Record a transaction that would have been sent
+     * @param {Object} details Execution details
+     * @param {string} details.executionMethod How the transaction would have been sent
+     * @param {Transaction|VersionedTransaction} details.transaction Signed transaction
+     * @param {Object} details.opportunity Verified opportunity being executed
+     * @param {string} details.expectedFinal Expected final amount of the last swap
+     * @returns {Object} Result in the same shape as a live execution
+     */
+    recordTrade: function({ executionMethod, transaction, opportunity, flashLoanAmount, expectedFinal }) {
+        const serialized = transaction.serialize();
+        const grossProfit = opportunity.verifiedProfit;
+        const flashLoanFee = opportunity.flashLoanFee;
+        const jitoTip = opportunity.estimatedTip || 0;
+        const priorityFee = opportunity.priorityFee || 0;
+        const netProfit = opportunity.netProfit;
+        const reserve = opportunity.reserve || flashReserves.getSolReserve();
+        
+        session.trades++;
+        session.jitoTips += jitoTip;
+        session.priorityFees += priorityFee;
+        if (reserve.isNative) {
+            session.grossProfit += grossProfit;
+            session.flashLoanFees += flashLoanFee;
+            session.netProfit += netProfit;
+        }
+        session.byExecutionMethod[executionMethod] = (session.byExecutionMethod[executionMethod] || 0) + 1;
+        
+        const tokenTotals = session.byLoanToken[reserve.name] || { trades: 0, grossProfit: 0, flashLoanFees: 0, netProfit: 0 };
+        tokenTotals.trades++;
+        tokenTotals.grossProfit += grossProfit;
+        tokenTotals.flashLoanFees += flashLoanFee;
+        tokenTotals.netProfit += netProfit;
+        session.byLoanToken[reserve.name] = tokenTotals;
+        
+        console.log("\n=== PAPER TRADE (NOT SENT) ===");
+        console.log(`Execution method: ${executionMethod}`);
+        console.log(`Transaction size: ${serialized.length} bytes`);
+        console.log(`Expected Gross Profit: ${flashReserves.formatAmount(reserve, grossProfit)} (${opportunity.profitPercentage.toFixed(4)}%)`);
+        console.log(`Expected Net Profit: ${flashReserves.formatAmount(reserve, netProfit)}`);
+        console.log(`Session hypothetical ${reserve.name} net PnL: ${flashReserves.formatAmount(reserve, tokenTotals.netProfit)} over ${tokenTotals.trades} trades`);
+        
+        utils.saveTrade({
+            timestamp: new Date().toISOString(),
+            transaction_type: "paper_trade",
+            execution_method: executionMethod,
+            paper: true,
+            successful: true,
+            path: (opportunity.verifiedEdges || []).map(edge => `${edge.fromToken.name} -> ${edge.toToken.name}`),
+            transaction_size: serialized.length,
+            transaction_base64: Buffer.from(serialized).toString('base64'),
+            flash_loan_token: reserve.name,
+            flash_loan_provider: opportunity.flashLoanProvider ? opportunity.flashLoanProvider.name : "kamino",
+            flash_loan_amount: flashLoanAmount,
+            expected_final_amount: expectedFinal,
+            expected_gross_profit: grossProfit,
+            flash_loan_fee: flashLoanFee,
+            jito_tip: jitoTip,
+            priority_fee: priorityFee,
+            net_profit: netProfit,
+            profit_percentage: opportunity.profitPercentage.toFixed(4)
+        });
+        
+        return {
+            success: true,
+            paper: true,
+            profit: grossProfit,
+            netProfit: netProfit
+        };
+    },
+    
+    getSessionSummary: function() {
+        return {
+            ...session,
+            endedAt: new Date().toISOString()
+        };
+    },
+    
+    /**
+     * Print the session's hypothetical PnL and save it next to the trade journal
+     */
+    printSessionSummary: function() {
+        const summary = paperTrading.getSessionSummary();
+        
+        console.log("\n=== PAPER TRADING SESSION SUMMARY ===");
+        console.log(`Session: ${summary.startedAt} -> ${summary.endedAt}`);
+        console.log(`Hypothetical trades: ${summary.trades}`);
+        console.log(`Gross profit: ${summary.grossProfit/1000000000} SOL`);
+        console.log(`Flash loan fees: ${summary.flashLoanFees/1000000000} SOL`);
+        console.log(`Jito tips: ${summary.jitoTips/1000000000} SOL`);
+        console.log(`Priority fees: ${summary.priorityFees/1000000000} SOL`);
+        console.log(`Net profit (SOL loans): ${summary.netProfit/1000000000} SOL`);
+        for (const [method, count] of Object.entries(summary.byExecutionMethod)) {
+            console.log(`  ${method}: ${count}`);
+        }
+        for (const [token, totals] of Object.entries(summary.byLoanToken)) {
+            const reserve = flashReserves.getReserves().find(r => r.name === token);
+            console.log(`  ${token} loans: ${totals.trades} trades, net ${reserve ? flashReserves.formatAmount(reserve, totals.netProfit) : totals.netProfit}`);
+        }
+        
+        try {
+            const timestamp = summary.endedAt.replace(/[:.-]/g, '_');
+            const filePath = path.join(__dirname, 'trades', `paper_session_${timestamp}.json`);
+            fs.writeFileSync(filePath, JSON.stringify(summary, null, 2));
+            console.log(`Session summary saved to ${filePath}`);
+        } catch (error) {
+            console.error("Error saving paper session summary:", error.message);
+        }
+        
+        return summary;
+    }
+};
+
+module.exports = paperTrading;
@@ -0,0 +1,116 @@
+const { PublicKey } = require('@solana/web3.js');
+const config = require('./config');
+
+// getRecentPrioritizationFees accepts at most this many accounts
+const MAX_FEE_ACCOUNTS = 128;
+
+/**
+ * Priority fee oracle
+ * Samples recent prioritization fees paid to write-lock the accounts a
+ * transaction touches and turns them into a compute unit price
+ */
+const priorityFees = {
+    /**
+     * Pool accounts a set of Jupiter quotes write to
+     * @param {Array<Object>} quotes Jupiter quotes
+     * @returns {Array<string>} Base58 AMM addresses
+     */
+    getQuoteAccounts: function(quotes) {
+        const accounts = [];
+        
+        for (const quote of quotes) {
+            for (const step of (quote && quote.routePlan) || []) {
+                if (step.swapInfo && step.swapInfo.ammKey) {
+                    accounts.push(step.swapInfo.ammKey);
+                }
+            }
+        }
+        
+        return accounts;
+    },
+    
+    /**
+     * Writable accounts of a quoted route: the flash loan pool and every Jupiter pool
+     * @param {Array<Object>} quotes Jupiter quote of every leg
+     * @param {PublicKey} poolAddress Flash loan reserve or bank being borrowed from
+     * @returns {Array<string>} Base58 addresses without duplicates
+     */
+    getRouteAccounts: function(quotes, poolAddress) {
+        const accounts = new Set(priorityFees.getQuoteAccounts(quotes));
+        
+        if (poolAddress) {
+            accounts.add(poolAddress.toBase58());
+        }
+        
+        return [...accounts];
+    },
+    
+    percentile: function(values, percentile) {
+        if (values.length === 0) {
+            return 0;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.ceil(percentile / 100 * sorted.length) - 1);
+        return sorted[Math.max(0, index)];
+    },
+    
+    /**
+     * Compute unit price at the configured percentile of recent fees for the accounts
+     * @param {Connection} connection Solana connection
+     * @param {Array<string>} accounts Writable accounts (base58)
+     * @returns {Promise<number>} Price in micro-lamports per compute unit
+     */
+    sampleFee: async function(connection, accounts) {
+        try {
+            const lockedWritableAccounts = accounts.slice(0, MAX_FEE_ACCOUNTS).map(account => new PublicKey(account));
+            const recentFees = await connection.getRecentPrioritizationFees({ lockedWritableAccounts });
+            
+            if (!recentFees || recentFees.length === 0) {
+                return config.PRIORITY_FEE_DEFAULT_MICROLAMPORTS;
+            }
+            
+            const sampled = priorityFees.percentile(recentFees.map(fee => fee.prioritizationFee), config.PRIORITY_FEE_PERCENTILE);
+            return Math.min(config.PRIORITY_FEE_MAX_MICROLAMPORTS, Math.max(config.PRIORITY_FEE_MIN_MICROLAMPORTS, sampled));
+        } catch (error) {
+            console.error("Error sampling prioritization fees:", error.message);
+            return config.PRIORITY_FEE_DEFAULT_MICROLAMPORTS;
+        }
+    },
+    
+    /**
+     * Lamports paid for a compute unit price and limit
+     */
+    getFeeLamports: function(microLamports, computeUnits) {
+        return Math.ceil(microLamports * computeUnits / 1000000);
+    },
+    
+    /**
+     * Sample the fee and cap it at a share of the expected net profit
+     * @param {Connection} connection Solana connection
+     * @param {Object} params Estimate parameters
+     * @param {Array<string>} params.accounts Writable accounts (base58)
+     * @param {number} params.computeUnits Compute unit limit the price applies to
+     * @param {number|null} params.expectedNetProfit Net profit in lamports before the priority fee, null for no cap
+     * @returns {Promise<{microLamports: number, lamports: number, capped: boolean}>}
+     */
+    estimate: async function(connection, { accounts, computeUnits, expectedNetProfit = null }) {
+        let microLamports = await priorityFees.sampleFee(connection, accounts);
+        let capped = false;
+        
+        if (expectedNetProfit !== null) {
+            const maxLamports = Math.max(0, Math.floor(expectedNetProfit * config.PRIORITY_FEE_MAX_PROFIT_SHARE));
+            if (priorityFees.getFeeLamports(microLamports, computeUnits) > maxLamports) {
+                microLamports = Math.floor(maxLamports * 1000000 / computeUnits);
+                capped = true;
+            }
+        }
+        
+        return {
+            microLamports,
+            lamports: priorityFees.getFeeLamports(microLamports, computeUnits),
+            capped
+        };
+    }
+};
+
+module.exports = priorityFees;
@@ -0,0 +1,250 @@
+const { Connection } = require('@solana/web3.js');
+const config = require('./config');
+
+// Weight of the newest sample in the latency and error-rate moving averages
+const SMOOTHING = 0.2;
+
+// Subscriptions (and removing them) must stay on the connection that created them
+const SUBSCRIPTION_METHOD = /^on[A-Z]|^remove\w*Listener$/;
+
+// Rate limits, server errors and network failures; anything else is the request's own error
+const RATE_LIMIT_ERROR = /\b429 [A-Z]/;
+const NODE_ERROR = /\b(429|50[0-4]) [A-Z]|fetch failed|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|Node is behind|Node is unhealthy/i;
+
+// Pooled nodes: { url, connection, latency, errorRate, slot, blockedUntil }
+let nodes = [];
+let readNode = null;
+let healthTimer = null;
+
+/**
+ * Pool of RPC connections with health scoring and failover
+ * Reads go to the healthiest node and fail over to the next one on rate
+ * limits, server errors or network failures. Transactions are broadcast
+ * to every node at once. Health checks measure each node's latency and
+ * how far its slot lags behind the best node
+ */
+const rpcPool = {
+    /**
+     * RPC URLs to pool: RPC_ENDPOINTS, or the single RPC_ENDPOINT when none are listed
+     * @returns {Array<string>}
+     */
+    getEndpoints: function() {
+        const endpoints = config.RPC_ENDPOINTS || [];
+        return endpoints.length > 0 ? endpoints : [config.RPC_ENDPOINT];
+    },
+    
+    /**
+     * Create the pooled connection used everywhere in place of a single Connection
+     * @param {string} commitment Default commitment of every node
+     * @returns {Connection} Connection proxy backed by the pool
+     */
+    createConnection: function(commitment = 'confirmed') {
+        nodes = rpcPool.getEndpoints().map(url => ({
+            url,
+            // Fail over on a 429 instead of letting web3.js retry the same node
+            connection: new Connection(url, { commitment, disableRetryOnRateLimit: true }),
+            latency: null,
+            errorRate: 0,
+            slot: null,
+            blockedUntil: 0
+        }));
+        readNode = nodes[0];
+        
+        rpcPool.startHealthChecks();
+        console.log(`RPC pool: ${nodes.length} node(s): ${nodes.map(node => node.url).join(", ")}`);
+        
+        const primary = nodes[0].connection;
+        const pooled = new Proxy(primary, {
+            get(target, property) {
+                // Every broadcast goes through sendEncodedTransaction, which fans out
+                if (property === 'sendEncodedTransaction') {
+                    return (...args) => rpcPool.broadcast(args);
+                }
+                if (property === 'sendTransaction' || property === 'sendRawTransaction') {
+                    return (...args) => Connection.prototype[property].apply(pooled, args);
+                }
+                if (typeof property === 'string' && SUBSCRIPTION_METHOD.test(property)) {
+                    return target[property].bind(target);
+                }
+                
+                const value = rpcPool.getReadNode().connection[property];
+                if (typeof value !== 'function') {
+                    return value;
+                }
+                return (...args) => rpcPool.request(property, args);
+            }
+        });
+        
+        return pooled;
+    },
+    
+    isRateLimitError: function(error) {
+        return RATE_LIMIT_ERROR.test(error.message || "");
+    },
+    
+    /**
+     * Whether an error is the node's fault (and another node may succeed)
+     */
+    isNodeError: function(error) {
+        return NODE_ERROR.test(error.message || "");
+    },
+    
+    /**
+     * Slots the node is behind the most advanced node in the pool
+     */
+    getSlotLag: function(node) {
+        const slots = nodes.map(entry => entry.slot).filter(slot => slot !== null);
+        if (node.slot === null || slots.length === 0) {
+            return 0;
+        }
+        return Math.max(...slots) - node.slot;
+    },
+    
+    isHealthy: function(node) {
+        return Date.now() >= node.blockedUntil && rpcPool.getSlotLag(node) <= config.RPC_MAX_SLOT_LAG;
+    },
+    
+    /**
+     * Lower is better: latency, inflated by the node's recent error rate
+     */
+    getScore: function(node) {
+        return (node.latency || 0) * (1 + 4 * node.errorRate);
+    },
+    
+    /**
+     * Nodes in failover order: healthy nodes by score, then the rest by score
+     */
+    rankNodes: function() {
+        const byScore = (a, b) => rpcPool.getScore(a) - rpcPool.getScore(b);
+        const healthy = nodes.filter(node => rpcPool.isHealthy(node)).sort(byScore);
+        const unhealthy = nodes.filter(node => !rpcPool.isHealthy(node)).sort(byScore);
+        return [...healthy, ...unhealthy];
+    },
+    
+    /**
+     * Node serving reads, logging whenever it changes
+     */
+    getReadNode: function() {
+        const best = rpcPool.rankNodes()[0];
+        if (best !== readNode) {
+            console.log(`RPC pool: switching reads from ${readNode.url} to ${best.url}`);
+            readNode = best;
+        }
+        return best;
+    },
+    
+    recordSuccess: function(node) {
+        node.errorRate = node.errorRate * (1 - SMOOTHING);
+    },
+    
+    recordFailure: function(node, error) {
+        node.errorRate = node.errorRate * (1 - SMOOTHING) + SMOOTHING;
+        
+        if (rpcPool.isRateLimitError(error)) {
+            node.blockedUntil = Date.now() + config.RPC_RATE_LIMIT_BACKOFF;
+            console.log(`RPC pool: ${node.url} is rate limited, pausing it for ${config.RPC_RATE_LIMIT_BACKOFF/1000} seconds`);
+        }
+    },
+    
+    /**
+     * Call a Connection method on the healthiest node, failing over to the next on node errors
+     * @param {string} method Connection method name
+     * @param {Array} args Method arguments
+     */
+    request: async function(method, args) {
+        let lastError = null;
+        
+        for (const node of rpcPool.rankNodes()) {
+            try {
+                const result = await node.connection[method](...args);
+                rpcPool.recordSuccess(node);
+                return result;
+            } catch (error) {
+                if (!rpcPool.isNodeError(error)) {
+                    throw error;
+                }
+                
+                rpcPool.recordFailure(node, error);
+                console.error(`RPC pool: ${method} failed on ${node.url}: ${error.message}`);
+                lastError = error;
+            }
+        }
+        
+        throw lastError;
+    },
+    
+    /**
+     * Send an encoded transaction through every node in parallel
+     * @param {Array} args sendEncodedTransaction arguments
+     * @returns {Promise<string>} Signature from the first node that accepted it
+     */
+    broadcast: async function(args) {
+        const ranked = rpcPool.rankNodes();
+        
+        const attempts = ranked.map(async node => {
+            try {
+                const signature = await node.connection.sendEncodedTransaction(...args);
+                rpcPool.recordSuccess(node);
+                return signature;
+            } catch (error) {
+                if (rpcPool.isNodeError(error)) {
+                    rpcPool.recordFailure(node, error);
+                }
+                throw error;
+            }
+        });
+        
+        try {
+            return await Promise.any(attempts);
+        } catch (error) {
+            // Every node refused it: report the best node's error (e.g. a preflight failure)
+            throw error.errors[0];
+        }
+    },
+    
+    /**
+     * Measure each node's latency and slot with getSlot
+     */
+    checkHealth: async function() {
+        await Promise.all(nodes.map(async node => {
+            const startedAt = Date.now();
+            try {
+                node.slot = await node.connection.getSlot();
+                const latency = Date.now() - startedAt;
+                node.latency = node.latency === null ? latency : node.latency * (1 - SMOOTHING) + latency * SMOOTHING;
+                rpcPool.recordSuccess(node);
+            } catch (error) {
+                rpcPool.recordFailure(node, error);
+            }
+        }));
+    },
+    
+    startHealthChecks: function() {
+        rpcPool.stopHealthChecks();
+        rpcPool.checkHealth();
+        healthTimer = setInterval(() => rpcPool.checkHealth(), config.RPC_HEALTH_CHECK_INTERVAL);
+        // Health checks alone should not keep the process running
+        healthTimer.unref();
+    },
+    
+    stopHealthChecks: function() {
+        if (healthTimer) {
+            clearInterval(healthTimer);
+            healthTimer = null;
+        }
+    },
+    
+    /**
+     * One line per node for the periodic stats
+     * @returns {Array<string>}
+     */
+    getSummary: function() {
+        return rpcPool.rankNodes().map(node => {
+            const latency = node.latency === null ? "n/a" : `${Math.round(node.latency)}ms`;
+            const state = rpcPool.isHealthy(node) ? "healthy" : "unhealthy";
+            return `${node.url}: ${state}, latency ${latency}, ${rpcPool.getSlotLag(node)} slots behind, error rate ${(node.errorRate * 100).toFixed(1)}%`;
+        });
+    }
+};
+
+module.exports = rpcPool;
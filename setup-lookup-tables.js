@@ -1,27 +1,48 @@
 /**
  * This script creates and sets up Address Lookup Tables for arbitrage operations
  * Run this script before starting your arbitrage bot to ensure tables are ready
+ *
+ * Usage:
+ *   node setup-lookup-tables.js [setup]                  Create or extend tables with the common accounts
+ *   node setup-lookup-tables.js inspect                  List each table's addresses, status and rent
+ *   node setup-lookup-tables.js deactivate <address...>  Deactivate tables that are no longer needed
+ *   node setup-lookup-tables.js close [address...]       Close deactivated tables after the cooldown and reclaim the rent
+ *
+ * Every command keeps lookup_tables.json in sync
  */
 const { 
     Connection, 
-    Keypair, 
     PublicKey, 
     AddressLookupTableProgram,
+    AddressLookupTableAccount,
     VersionedTransaction,
     TransactionMessage 
 } = require('@solana/web3.js');
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
-const utils = require('./utils');
+const signingGuard = require('./signing-guard');
+const keyLoader = require('./key-loader');
+const flashLoanProviders = require('./flash-loan-providers');
+const jitoTips = require('./jito-tips');
+const blockhashCache = require('./blockhash-cache');
 
 // Location to store lookup table information
 const LOOKUP_TABLES_FILE = path.join(__dirname, 'lookup_tables.json');
 
+// Each lookup table can hold up to 256 addresses
+const MAX_ADDRESSES_PER_TABLE = 256;
+
+// Deactivation slot of a table that is still active
+const U64_MAX = BigInt('0xffffffffffffffff');
+
+// A deactivated table can be closed once its deactivation slot has left the SlotHashes sysvar (512 entries)
+const DEACTIVATION_COOLDOWN_SLOTS = 513;
+
 /**
  * Define common accounts that will likely be used in arbitrage transactions
  */
-function getCommonArbitrageAccounts() {
+async function getCommonArbitrageAccounts(connection) {
     const accounts = [
         // System program and token programs
         "11111111111111111111111111111111", // System Program
@@ -29,15 +50,11 @@ function getCommonArbitrageAccounts() {
         config.ASSOCIATED_TOKEN_PROGRAM_ID.toBase58(), // Associated Token Program
         config.SYSVAR_INSTRUCTIONS_PUBKEY.toBase58(), // Sysvar Instructions
         
-        // Kamino lending addresses for flash loans
-        config.KAMINO_LENDING_PROGRAM_ID.toBase58(),
-        config.KAMINO_LENDING_MARKET.toBase58(),
-        config.KAMINO_LENDING_MARKET_AUTHORITY.toBase58(),
-        config.KAMINO_SOL_RESERVE.toBase58(),
-        config.KAMINO_SOL_RESERVE_LIQUIDITY.toBase58(),
-        config.KAMINO_SOL_FEE_RECEIVER.toBase58(),
-        config.KAMINO_REFERRER_TOKEN_STATE.toBase58(),
-        config.KAMINO_REFERRER_ACCOUNT.toBase58(),
+        // Flash loan provider addresses (programs, pools, vaults)
+        ...await flashLoanProviders.getRequiredLookupAccounts(connection),
+        
+        // Jito tip accounts (the tip is an instruction of the arbitrage transaction)
+        ...jitoTips.getPinnedTipAccounts(),
         
         // Token mints
         config.WSOL_MINT.toBase58(),
@@ -70,12 +87,17 @@ async function setupLookupTables() {
         console.log("=== SETTING UP ADDRESS LOOKUP TABLES FOR ARBITRAGE ===");
         
         // Initialize wallet and connection
-        const privateKeyBytes = utils.base58Decode(config.PRIVATE_KEY);
-        const payer = Keypair.fromSecretKey(privateKeyBytes);
+        const payer = await keyLoader.loadKeypair();
         console.log(`Using wallet: ${payer.publicKey.toBase58()}`);
         
         const connection = new Connection(config.RPC_ENDPOINT, 'confirmed');
         
+        // Every transaction below is built with the prefetched blockhash
+        if (!await blockhashCache.start(connection)) {
+            console.error("Could not fetch a blockhash");
+            return false;
+        }
+        
         // Check wallet balance
         const balance = await connection.getBalance(payer.publicKey);
         console.log(`Wallet balance: ${balance / 1000000000} SOL`);
@@ -99,13 +121,22 @@ async function setupLookupTables() {
         }
         
         // Verify existing tables are valid
+        // Deactivated tables stay registered until they are closed, but are never extended
         const verifiedTables = [];
+        const retiredTables = [];
         for (const table of existingTables) {
             try {
                 console.log(`Verifying lookup table: ${table.address}`);
                 const lookupTableAccount = await connection.getAddressLookupTable(new PublicKey(table.address));
                 
-                if (lookupTableAccount && lookupTableAccount.value) {
+                if (lookupTableAccount && lookupTableAccount.value && !lookupTableAccount.value.isActive()) {
+                    console.log(`Lookup table ${table.address} is deactivated, run "close" to reclaim its rent`);
+                    retiredTables.push({
+                        ...table,
+                        status: "deactivated",
+                        deactivationSlot: Number(lookupTableAccount.value.state.deactivationSlot)
+                    });
+                } else if (lookupTableAccount && lookupTableAccount.value) {
                     const addressCount = lookupTableAccount.value.state.addresses.length;
                     console.log(`Verified lookup table ${table.address} with ${addressCount} addresses`);
                     
@@ -123,7 +154,7 @@ async function setupLookupTables() {
         }
         
         // Get common accounts for arbitrage
-        const commonAccounts = getCommonArbitrageAccounts();
+        const commonAccounts = await getCommonArbitrageAccounts(connection);
         console.log(`Identified ${commonAccounts.length} common accounts for arbitrage operations`);
         
         // Add the wallet address
@@ -144,9 +175,6 @@ async function setupLookupTables() {
         if (missingAddresses.length > 0) {
             console.log(`Found ${missingAddresses.length} addresses that need to be added to lookup tables`);
             
-            // Each lookup table can hold up to 256 addresses
-            const MAX_ADDRESSES_PER_TABLE = 256;
-            
             // Check if we need a new table or can extend existing ones
             if (verifiedTables.length === 0) {
                 console.log("No existing tables. Creating a new lookup table...");
@@ -208,13 +236,7 @@ async function setupLookupTables() {
         }
         
         // Save updated lookup tables to file
-        const tableData = {
-            updated: new Date().toISOString(),
-            tables: verifiedTables
-        };
-        
-        fs.writeFileSync(LOOKUP_TABLES_FILE, JSON.stringify(tableData, null, 2));
-        console.log(`Saved ${verifiedTables.length} lookup tables to ${LOOKUP_TABLES_FILE}`);
+        saveTableFile([...verifiedTables, ...retiredTables]);
         
         // Print summary
         console.log("\n=== LOOKUP TABLE SETUP COMPLETE ===");
@@ -250,7 +272,7 @@ async function createLookupTable(connection, payer, addresses) {
     });
     
     // Build and send transaction to create table
-    const { blockhash } = await connection.getLatestBlockhash();
+    const { blockhash } = blockhashCache.get();
     
     const messageV0 = new TransactionMessage({
         payerKey: payer.publicKey,
@@ -259,7 +281,7 @@ async function createLookupTable(connection, payer, addresses) {
     }).compileToV0Message();
     
     const transaction = new VersionedTransaction(messageV0);
-    transaction.sign([payer]);
+    signingGuard.sign(transaction, [payer]);
     
     const signature = await connection.sendTransaction(transaction);
     console.log(`Creation transaction sent: ${signature}`);
@@ -304,7 +326,7 @@ async function extendLookupTable(connection, payer, lookupTableAddress, addresse
             addresses: batchAddresses
         });
         
-        const { blockhash } = await connection.getLatestBlockhash();
+        const { blockhash } = blockhashCache.get();
         
         const messageV0 = new TransactionMessage({
             payerKey: payer.publicKey,
@@ -313,7 +335,7 @@ async function extendLookupTable(connection, payer, lookupTableAddress, addresse
         }).compileToV0Message();
         
         const transaction = new VersionedTransaction(messageV0);
-        transaction.sign([payer]);
+        signingGuard.sign(transaction, [payer]);
         
         const signature = await connection.sendTransaction(transaction);
         console.log(`Batch ${batchNumber} transaction sent: ${signature}`);
@@ -367,17 +389,299 @@ async function waitForConfirmation(connection, signature, timeout = 60) {
     throw new Error(`Transaction confirmation timed out after ${timeout} seconds`);
 }
 
-// Execute the setup
-setupLookupTables()
+/**
+ * Read the table registry written by the setup
+ * @returns {Array<Object>} Table entries ({address, slot, addresses, status?, deactivationSlot?})
+ */
+function loadTableFile() {
+    try {
+        if (fs.existsSync(LOOKUP_TABLES_FILE)) {
+            return JSON.parse(fs.readFileSync(LOOKUP_TABLES_FILE, 'utf8')).tables || [];
+        }
+    } catch (err) {
+        console.error("Error reading lookup tables file:", err.message);
+    }
+    return [];
+}
+
+function saveTableFile(tables) {
+    fs.writeFileSync(LOOKUP_TABLES_FILE, JSON.stringify({ updated: new Date().toISOString(), tables }, null, 2));
+    console.log(`Saved ${tables.length} lookup tables to ${LOOKUP_TABLES_FILE}`);
+}
+
+/**
+ * Fetch a lookup table with the rent it holds
+ * @returns {Promise<{state: Object, lamports: number}|null>} Null if the account does not exist
+ */
+async function fetchTable(connection, address) {
+    const accountInfo = await connection.getAccountInfo(new PublicKey(address));
+    if (!accountInfo) {
+        return null;
+    }
+    return { state: AddressLookupTableAccount.deserialize(accountInfo.data), lamports: accountInfo.lamports };
+}
+
+function isDeactivated(state) {
+    return state.deactivationSlot !== U64_MAX;
+}
+
+/**
+ * Slots left before a deactivated table can be closed (0 when it can be closed now)
+ */
+function getCooldownRemaining(state, currentSlot) {
+    return Math.max(0, Number(state.deactivationSlot) + DEACTIVATION_COOLDOWN_SLOTS - currentSlot);
+}
+
+/**
+ * Sign and send a single lookup table instruction and wait for it to confirm
+ */
+async function sendInstruction(connection, payer, instruction) {
+    const { blockhash } = blockhashCache.get();
+    
+    const messageV0 = new TransactionMessage({
+        payerKey: payer.publicKey,
+        recentBlockhash: blockhash,
+        instructions: [instruction]
+    }).compileToV0Message();
+    
+    const transaction = new VersionedTransaction(messageV0);
+    signingGuard.sign(transaction, [payer]);
+    
+    const signature = await connection.sendTransaction(transaction);
+    console.log(`Transaction sent: ${signature}`);
+    
+    await waitForConfirmation(connection, signature);
+    return signature;
+}
+
+/**
+ * Wallet and connection for the commands that send transactions
+ */
+async function connectWallet() {
+    const payer = await keyLoader.loadKeypair();
+    console.log(`Using wallet: ${payer.publicKey.toBase58()}`);
+    
+    const connection = new Connection(config.RPC_ENDPOINT, 'confirmed');
+    if (!await blockhashCache.start(connection)) {
+        throw new Error("Could not fetch a blockhash");
+    }
+    
+    return { payer, connection };
+}
+
+/**
+ * List every registered table with its addresses, status and rent, and sync the registry with the chain
+ * Tables are not judged by usage: the route accounts the extender adds on purpose
+ * are not known to this script
+ */
+async function inspectLookupTables() {
+    const connection = new Connection(config.RPC_ENDPOINT, 'confirmed');
+    const tables = loadTableFile();
+    if (tables.length === 0) {
+        console.log(`No lookup tables registered in ${LOOKUP_TABLES_FILE}`);
+        return true;
+    }
+    
+    const currentSlot = await connection.getSlot();
+    const remaining = [];
+    let totalRent = 0;
+    
+    console.log(`=== ${tables.length} REGISTERED LOOKUP TABLES (slot ${currentSlot}) ===`);
+    
+    for (let i = 0; i < tables.length; i++) {
+        const entry = tables[i];
+        const fetched = await fetchTable(connection, entry.address);
+        
+        if (!fetched) {
+            console.log(`\nTable ${i+1}: ${entry.address} no longer exists, removing it from the registry`);
+            continue;
+        }
+        
+        const { state, lamports } = fetched;
+        const addresses = state.addresses.map(address => address.toBase58());
+        totalRent += lamports;
+        
+        let status = "active";
+        if (isDeactivated(state)) {
+            const cooldown = getCooldownRemaining(state, currentSlot);
+            status = cooldown > 0
+                ? `deactivated at slot ${state.deactivationSlot}, closable in ${cooldown} slots`
+                : `deactivated at slot ${state.deactivationSlot}, can be closed`;
+        }
+        
+        console.log(`\nTable ${i+1}: ${entry.address} (${status})`);
+        console.log(`  Authority: ${state.authority ? state.authority.toBase58() : "none (frozen)"}`);
+        console.log(`  Addresses: ${addresses.length}/${MAX_ADDRESSES_PER_TABLE}`);
+        console.log(`  Last extended: slot ${state.lastExtendedSlot}`);
+        console.log(`  Rent held: ${lamports / 1000000000} SOL`);
+        addresses.forEach(address => console.log(`    ${address}`));
+        
+        remaining.push({
+            ...entry,
+            addresses,
+            ...(isDeactivated(state) ? { status: "deactivated", deactivationSlot: Number(state.deactivationSlot) } : {})
+        });
+    }
+    
+    console.log(`\nTotal rent held by registered tables: ${totalRent / 1000000000} SOL`);
+    saveTableFile(remaining);
+    return true;
+}
+
+/**
+ * Deactivate tables we no longer need; they can be closed once the cooldown has passed
+ * @param {Array<string>} addresses Tables to deactivate
+ */
+async function deactivateLookupTables(addresses) {
+    if (addresses.length === 0) {
+        console.log("Usage: node setup-lookup-tables.js deactivate <table address> [...]");
+        return false;
+    }
+    
+    const { payer, connection } = await connectWallet();
+    const tables = loadTableFile();
+    let success = true;
+    
+    for (const address of addresses) {
+        try {
+            const fetched = await fetchTable(connection, address);
+            if (!fetched) {
+                console.error(`Lookup table ${address} does not exist`);
+                success = false;
+                continue;
+            }
+            if (!fetched.state.authority || !fetched.state.authority.equals(payer.publicKey)) {
+                console.error(`Lookup table ${address} is not owned by this wallet`);
+                success = false;
+                continue;
+            }
+            
+            let deactivationSlot;
+            if (isDeactivated(fetched.state)) {
+                deactivationSlot = Number(fetched.state.deactivationSlot);
+                console.log(`Lookup table ${address} is already deactivated (slot ${deactivationSlot})`);
+            } else {
+                console.log(`Deactivating lookup table ${address}...`);
+                await sendInstruction(connection, payer, AddressLookupTableProgram.deactivateLookupTable({
+                    lookupTable: new PublicKey(address),
+                    authority: payer.publicKey
+                }));
+                
+                // The deactivation slot starts the cooldown before the table can be closed
+                const deactivated = await fetchTable(connection, address);
+                deactivationSlot = deactivated ? Number(deactivated.state.deactivationSlot) : await connection.getSlot();
+                console.log(`Deactivated ${address} at slot ${deactivationSlot}, it can be closed after slot ${deactivationSlot + DEACTIVATION_COOLDOWN_SLOTS}`);
+            }
+            
+            const entry = tables.find(table => table.address === address);
+            if (entry) {
+                entry.status = "deactivated";
+                entry.deactivationSlot = deactivationSlot;
+            } else {
+                tables.push({ address, addresses: fetched.state.addresses.map(key => key.toBase58()), status: "deactivated", deactivationSlot });
+            }
+            saveTableFile(tables);
+        } catch (err) {
+            console.error(`Error deactivating lookup table ${address}:`, err.message);
+            success = false;
+        }
+    }
+    
+    return success;
+}
+
+/**
+ * Close deactivated tables whose cooldown has passed and reclaim their rent
+ * @param {Array<string>} addresses Tables to close, every deactivated registered table by default
+ */
+async function closeLookupTables(addresses) {
+    const { payer, connection } = await connectWallet();
+    let tables = loadTableFile();
+    const explicit = addresses.length > 0;
+    const targets = explicit ? addresses : tables.map(table => table.address);
+    
+    if (targets.length === 0) {
+        console.log(`No lookup tables registered in ${LOOKUP_TABLES_FILE}`);
+        return true;
+    }
+    
+    const currentSlot = await connection.getSlot();
+    let reclaimed = 0;
+    let success = true;
+    
+    for (const address of targets) {
+        try {
+            const fetched = await fetchTable(connection, address);
+            if (!fetched) {
+                console.log(`Lookup table ${address} is already closed`);
+                tables = tables.filter(table => table.address !== address);
+                saveTableFile(tables);
+                continue;
+            }
+            if (!isDeactivated(fetched.state)) {
+                // Active tables are only an error when asked for by address
+                if (explicit) {
+                    console.error(`Lookup table ${address} is still active. Deactivate it first`);
+                    success = false;
+                }
+                continue;
+            }
+            
+            const cooldown = getCooldownRemaining(fetched.state, currentSlot);
+            if (cooldown > 0) {
+                console.log(`Lookup table ${address} can be closed in ${cooldown} slots (about ${Math.ceil(cooldown * 0.4)} seconds)`);
+                continue;
+            }
+            
+            console.log(`Closing lookup table ${address}...`);
+            await sendInstruction(connection, payer, AddressLookupTableProgram.closeLookupTable({
+                lookupTable: new PublicKey(address),
+                authority: payer.publicKey,
+                recipient: payer.publicKey
+            }));
+            
+            reclaimed += fetched.lamports;
+            console.log(`Closed ${address}, reclaimed ${fetched.lamports / 1000000000} SOL`);
+            tables = tables.filter(table => table.address !== address);
+            saveTableFile(tables);
+        } catch (err) {
+            console.error(`Error closing lookup table ${address}:`, err.message);
+            success = false;
+        }
+    }
+    
+    console.log(`Reclaimed ${reclaimed / 1000000000} SOL of rent`);
+    return success;
+}
+
+async function main() {
+    const [command = "setup", ...args] = process.argv.slice(2);
+    
+    switch (command) {
+        case "setup":
+            return setupLookupTables();
+        case "inspect":
+            return inspectLookupTables();
+        case "deactivate":
+            return deactivateLookupTables(args);
+        case "close":
+            return closeLookupTables(args);
+        default:
+            console.log("Usage: node setup-lookup-tables.js <setup | inspect | deactivate <address> [...] | close [address] [...]>");
+            return false;
+    }
+}
+
+main()
     .then(success => {
         if (success) {
-            console.log("Lookup table setup completed successfully!");
+            console.log("Lookup table command completed successfully!");
         } else {
-            console.error("Lookup table setup failed.");
+            console.error("Lookup table command failed.");
             process.exit(1);
         }
     })
     .catch(error => {
-        console.error("Error in lookup table setup:", error.message);
+        console.error("Error in lookup table command:", error.message);
         process.exit(1);
-    });
\ No newline at end of file
+    });
@@ -0,0 +1,259 @@
+const {
+    SystemProgram,
+    SystemInstruction,
+    ComputeBudgetProgram,
+    AddressLookupTableProgram,
+    AddressLookupTableInstruction,
+    TransactionMessage,
+    VersionedTransaction
+} = require('@solana/web3.js');
+const config = require('./config');
+const jitoTips = require('./jito-tips');
+
+// Signing lock and post-sign listeners
+let lockReason = null;
+const signListeners = [];
+
+/**
+ * Signing chokepoint for every transaction the bot builds.
+ * Each instruction is decoded before signing and the whole transaction is
+ * refused if any instruction targets a program or destination outside the
+ * configured allowlist.
+ */
+const signingGuard = {
+    /**
+     * Programs that may appear as top-level instructions, keyed by address
+     */
+    getAllowedPrograms: function() {
+        const programs = {
+            [config.KAMINO_LENDING_PROGRAM_ID.toBase58()]: "Kamino Lending",
+            [config.JUPITER_PROGRAM_ID.toBase58()]: "Jupiter",
+            [config.ASSOCIATED_TOKEN_PROGRAM_ID.toBase58()]: "Associated Token",
+            [ComputeBudgetProgram.programId.toBase58()]: "Compute Budget",
+            [SystemProgram.programId.toBase58()]: "System",
+            [AddressLookupTableProgram.programId.toBase58()]: "Address Lookup Table"
+        };
+        
+        const providers = config.FLASH_LOAN_PROVIDERS || [];
+        if (providers.includes("marginfi") && config.MARGINFI_ACCOUNT) {
+            programs[config.MARGINFI_PROGRAM_ID.toBase58()] = "marginfi";
+        }
+        if (providers.includes("solend")) {
+            programs[config.SOLEND_PROGRAM_ID.toBase58()] = "Solend";
+        }
+        
+        for (const program of config.SIGNING_EXTRA_ALLOWED_PROGRAMS || []) {
+            programs[program] = programs[program] || "Configured";
+        }
+        
+        return programs;
+    },
+    
+    /**
+     * Accounts that may receive lamports through a System transfer (the pinned Jito tip accounts)
+     * Tip accounts fetched from the block engine are never trusted here
+     */
+    getAllowedDestinations: function() {
+        const destinations = new Set(config.SIGNING_EXTRA_ALLOWED_DESTINATIONS || []);
+        
+        for (const tipAccount of jitoTips.getPinnedTipAccounts()) {
+            destinations.add(tipAccount);
+        }
+        
+        return destinations;
+    },
+    
+    /**
+     * Decode a transaction into plain instructions
+     * Keys loaded from lookup tables that were not provided are left as null
+     * @param {Transaction|VersionedTransaction} transaction Transaction to decode
+     * @param {Array<AddressLookupTableAccount>} lookupTables Tables used to compile a v0 message
+     * @returns {Array<{programId: PublicKey, keys: Array, data: Buffer}>} Decoded instructions
+     */
+    decodeInstructions: function(transaction, lookupTables = []) {
+        if (!(transaction instanceof VersionedTransaction)) {
+            return transaction.instructions;
+        }
+        
+        const message = transaction.message;
+        
+        try {
+            return TransactionMessage.decompile(message, {
+                addressLookupTableAccounts: lookupTables
+            }).instructions;
+        } catch (error) {
+            // Tables were not supplied, resolve what we can from the static keys
+            const staticKeys = message.staticAccountKeys;
+            
+            return message.compiledInstructions.map(instruction => ({
+                programId: staticKeys[instruction.programIdIndex],
+                keys: instruction.accountKeyIndexes.map(index => ({
+                    pubkey: index < staticKeys.length ? staticKeys[index] : null,
+                    isSigner: message.isAccountSigner(index),
+                    isWritable: message.isAccountWritable(index)
+                })),
+                data: Buffer.from(instruction.data)
+            }));
+        }
+    },
+    
+    /**
+     * Describe an instruction for logging
+     */
+    describeInstruction: function(instruction, index) {
+        const programId = instruction.programId ? instruction.programId.toBase58() : "unresolved";
+        
+        return {
+            index,
+            programId,
+            program: signingGuard.getAllowedPrograms()[programId] || "Unknown",
+            accounts: instruction.keys.map(key => ({
+                pubkey: key.pubkey ? key.pubkey.toBase58() : "unresolved (lookup table)",
+                isSigner: key.isSigner,
+                isWritable: key.isWritable
+            })),
+            data: Buffer.from(instruction.data).toString('hex')
+        };
+    },
+    
+    /**
+     * Check a single decoded instruction against the policy
+     * @returns {string|null} Refusal reason, or null when the instruction is allowed
+     */
+    checkInstruction: function(instruction, signerKeys) {
+        if (!instruction.programId) {
+            return "program ID could not be resolved";
+        }
+        
+        const programId = instruction.programId.toBase58();
+        
+        if (!signingGuard.getAllowedPrograms()[programId]) {
+            return `program ${programId} is not in the allowlist`;
+        }
+        
+        if (instruction.keys.some(key => !key.pubkey)) {
+            // Allowed programs may load accounts from lookup tables, but we
+            // cannot vet System or lookup table instructions we cannot read
+            if (instruction.programId.equals(SystemProgram.programId) ||
+                instruction.programId.equals(AddressLookupTableProgram.programId)) {
+                return "instruction accounts could not be resolved";
+            }
+        }
+        
+        if (instruction.programId.equals(SystemProgram.programId)) {
+            let type;
+            try {
+                type = SystemInstruction.decodeInstructionType(instruction);
+            } catch (error) {
+                return `undecodable System instruction: ${error.message}`;
+            }
+            
+            if (type !== 'Transfer') {
+                return `System instruction ${type} is not allowed`;
+            }
+            
+            const { toPubkey, lamports } = SystemInstruction.decodeTransfer(instruction);
+            if (!signingGuard.getAllowedDestinations().has(toPubkey.toBase58())) {
+                return `transfer of ${lamports} lamports to ${toPubkey.toBase58()} is not an allowed destination`;
+            }
+        }
+        
+        if (instruction.programId.equals(AddressLookupTableProgram.programId)) {
+            let type;
+            try {
+                type = AddressLookupTableInstruction.decodeInstructionType(instruction);
+            } catch (error) {
+                return `undecodable lookup table instruction: ${error.message}`;
+            }
+            
+            // Closing a table pays its rent to the recipient account
+            if (type === 'CloseLookupTable') {
+                const recipient = instruction.keys[2] && instruction.keys[2].pubkey;
+                if (!recipient || !signerKeys.has(recipient.toBase58())) {
+                    return `lookup table rent recipient ${recipient ? recipient.toBase58() : 'unknown'} is not a signer`;
+                }
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Check every instruction in a transaction against the policy
+     * @returns {{allowed: boolean, refusals: Array}} Policy result
+     */
+    inspectTransaction: function(transaction, signers, lookupTables = []) {
+        const instructions = signingGuard.decodeInstructions(transaction, lookupTables);
+        const signerKeys = new Set(signers.map(signer => signer.publicKey.toBase58()));
+        const refusals = [];
+        
+        instructions.forEach((instruction, index) => {
+            const reason = signingGuard.checkInstruction(instruction, signerKeys);
+            if (reason) {
+                refusals.push({
+                    reason,
+                    instruction: signingGuard.describeInstruction(instruction, index)
+                });
+            }
+        });
+        
+        return { allowed: refusals.length === 0, refusals };
+    },
+    
+    /**
+     * Sign a legacy or versioned transaction after it passes the policy check
+     * @param {Transaction|VersionedTransaction} transaction Transaction to sign
+     * @param {Keypair|Array<Keypair>} signers Signing keypairs
+     * @param {Array<AddressLookupTableAccount>} lookupTables Tables used to compile a v0 message
+     * @returns {Transaction|VersionedTransaction} The signed transaction
+     */
+    sign: function(transaction, signers, lookupTables = []) {
+        if (lockReason) {
+            console.error(`[SIGNING GUARD] Signing is locked: ${lockReason}`);
+            throw new Error(`Signing is locked: ${lockReason}`);
+        }
+        
+        const signerList = Array.isArray(signers) ? signers : [signers];
+        const { allowed, refusals } = signingGuard.inspectTransaction(transaction, signerList, lookupTables);
+        
+        if (!allowed) {
+            for (const refusal of refusals) {
+                console.error(`[SIGNING GUARD] Refused instruction #${refusal.instruction.index}: ${refusal.reason}`);
+                console.error("[SIGNING GUARD] Decoded instruction:", JSON.stringify(refusal.instruction, null, 2));
+            }
+            throw new Error(`Transaction refused by signing policy: ${refusals[0].reason}`);
+        }
+        
+        if (transaction instanceof VersionedTransaction) {
+            transaction.sign(signerList);
+        } else {
+            transaction.sign(...signerList);
+        }
+        
+        for (const listener of signListeners) {
+            try {
+                listener(transaction);
+            } catch (error) {
+                console.error("Error in post-sign listener:", error.message);
+            }
+        }
+        
+        return transaction;
+    },
+    
+    /**
+     * Refuse every further signature until the process restarts
+     */
+    lock: function(reason) {
+        lockReason = reason;
+    },
+    
+    /**
+     * Register a callback that runs after each successful signature
+     */
+    onSigned: function(listener) {
+        signListeners.push(listener);
+    }
+};
+
+module.exports = signingGuard;
@@ -0,0 +1,234 @@
+const { PublicKey, TransactionInstruction } = require('@solana/web3.js');
+const BN = require('bn.js');
+const config = require('./config');
+
+// Token-lending instruction tags
+const FLASH_BORROW_TAG = 19;
+const FLASH_REPAY_TAG = 20;
+
+// Byte offset of the borrow instruction index in flash repay data (tag + u64 amount)
+const REPAY_BORROW_INDEX_OFFSET = 9;
+
+// Byte offsets in a Solend/Save Reserve account
+const RESERVE_OFFSETS = {
+    lendingMarket: 10,
+    mint: 42,
+    liquiditySupply: 75,
+    availableAmount: 171,
+    flashLoanFeeWad: 314,
+    hostFeePercentage: 322,
+    feeReceiver: 339
+};
+
+const WAD = 1000000000000000000n;
+const U64_MAX = 18446744073709551615n;
+
+// Decoded reserve state per reserve address
+const reserveCache = new Map();
+
+function u64(value) {
+    return new BN(value.toString()).toArrayLike(Buffer, 'le', 8);
+}
+
+/**
+ * Solend / Save flash-loan provider
+ * Our own token account is passed as the host fee receiver, so the host share
+ * of the fee comes straight back and only the rest is a cost
+ */
+const solendProvider = {
+    name: "solend",
+    programId: config.SOLEND_PROGRAM_ID,
+    borrowInstructionCount: 1,
+    repayInstructionCount: 1,
+    
+    getReserveAddress: function(mint) {
+        const key = typeof mint === 'string' ? mint : mint.toBase58();
+        const entry = (config.SOLEND_RESERVES || []).find(reserve => reserve.mint === key);
+        return entry ? new PublicKey(entry.reserve) : null;
+    },
+    
+    supportsMint: function(mint) {
+        return solendProvider.getReserveAddress(mint) !== null;
+    },
+    
+    /**
+     * Decode the fields needed for a flash loan from raw reserve data
+     * @param {Buffer} data Reserve account data
+     * @returns {Object} Decoded reserve state
+     */
+    decode: function(data) {
+        const readKey = offset => new PublicKey(data.subarray(offset, offset + 32));
+        const feeWad = data.readBigUInt64LE(RESERVE_OFFSETS.flashLoanFeeWad);
+        
+        return {
+            lendingMarket: readKey(RESERVE_OFFSETS.lendingMarket),
+            mint: readKey(RESERVE_OFFSETS.mint),
+            liquiditySupply: readKey(RESERVE_OFFSETS.liquiditySupply),
+            feeReceiver: readKey(RESERVE_OFFSETS.feeReceiver),
+            availableLiquidity: Number(data.readBigUInt64LE(RESERVE_OFFSETS.availableAmount)),
+            flashLoansEnabled: feeWad !== U64_MAX,
+            flashLoanFeeRate: feeWad === U64_MAX ? null : Number(feeWad * 1000000n / WAD) / 1000000,
+            hostFeePercentage: data.readUInt8(RESERVE_OFFSETS.hostFeePercentage)
+        };
+    },
+    
+    /**
+     * Read the reserve and return what it can lend right now
+     * @returns {Promise<number|null>} Available base units (0 when flash loans are disabled), or null if unknown
+     */
+    availableLiquidity: async function(connection, mint) {
+        const reserveAddress = solendProvider.getReserveAddress(mint);
+        
+        try {
+            const account = await connection.getAccountInfo(reserveAddress, 'confirmed');
+            if (!account || !account.owner.equals(config.SOLEND_PROGRAM_ID)) {
+                throw new Error(`Reserve ${reserveAddress.toBase58()} is not a Solend account`);
+            }
+            
+            const state = solendProvider.decode(account.data);
+            if (state.mint.toBase58() !== (typeof mint === 'string' ? mint : mint.toBase58())) {
+                throw new Error(`Reserve ${reserveAddress.toBase58()} lends ${state.mint.toBase58()}, not the configured mint`);
+            }
+            if (!state.lendingMarket.equals(config.SOLEND_LENDING_MARKET)) {
+                throw new Error(`Reserve ${reserveAddress.toBase58()} belongs to market ${state.lendingMarket.toBase58()}`);
+            }
+            
+            reserveCache.set(reserveAddress.toBase58(), state);
+            return state.flashLoansEnabled ? state.availableLiquidity : 0;
+        } catch (error) {
+            console.error("Error reading Solend reserve:", error.message);
+            return null;
+        }
+    },
+    
+    getCachedState: function(mint) {
+        const reserveAddress = solendProvider.getReserveAddress(mint);
+        return reserveAddress ? reserveCache.get(reserveAddress.toBase58()) || null : null;
+    },
+    
+    feeRate: function(mint) {
+        const state = solendProvider.getCachedState(mint);
+        if (!state || !state.flashLoansEnabled) {
+            return null;
+        }
+        return state.flashLoanFeeRate * (1 - state.hostFeePercentage / 100);
+    },
+    
+    /**
+     * Fee actually paid: the reserve fee minus the host share we receive back
+     */
+    feeFor: function(amount, mint) {
+        const state = solendProvider.getCachedState(mint);
+        if (!state || !state.flashLoansEnabled) {
+            return Infinity;
+        }
+        const fee = Math.ceil(parseInt(amount) * state.flashLoanFeeRate);
+        const hostFee = Math.floor(fee * state.hostFeePercentage / 100);
+        return fee - hostFee;
+    },
+    
+    getLendingMarketAuthority: function() {
+        return PublicKey.findProgramAddressSync(
+            [config.SOLEND_LENDING_MARKET.toBuffer()],
+            config.SOLEND_PROGRAM_ID
+        )[0];
+    },
+    
+    buildBorrow: function({ tokenAccount, mint, amount }) {
+        const reserveAddress = solendProvider.getReserveAddress(mint);
+        const state = solendProvider.getCachedState(mint);
+        if (!state) {
+            throw new Error("Solend reserve has not been read yet");
+        }
+        
+        return [new TransactionInstruction({
+            programId: config.SOLEND_PROGRAM_ID,
+            keys: [
+                { pubkey: state.liquiditySupply, isSigner: false, isWritable: true },
+                { pubkey: tokenAccount, isSigner: false, isWritable: true },
+                { pubkey: reserveAddress, isSigner: false, isWritable: true },
+                { pubkey: config.SOLEND_LENDING_MARKET, isSigner: false, isWritable: false },
+                { pubkey: solendProvider.getLendingMarketAuthority(), isSigner: false, isWritable: false },
+                { pubkey: config.SYSVAR_INSTRUCTIONS_PUBKEY, isSigner: false, isWritable: false },
+                { pubkey: config.TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+            ],
+            data: Buffer.concat([Buffer.from([FLASH_BORROW_TAG]), u64(amount)])
+        })];
+    },
+    
+    buildRepay: function({ payer, tokenAccount, mint, amount }) {
+        const reserveAddress = solendProvider.getReserveAddress(mint);
+        const state = solendProvider.getCachedState(mint);
+        if (!state) {
+            throw new Error("Solend reserve has not been read yet");
+        }
+        
+        return [new TransactionInstruction({
+            programId: config.SOLEND_PROGRAM_ID,
+            keys: [
+                { pubkey: tokenAccount, isSigner: false, isWritable: true },
+                { pubkey: state.liquiditySupply, isSigner: false, isWritable: true },
+                { pubkey: state.feeReceiver, isSigner: false, isWritable: true },
+                // Host fee receiver: our own account, so the host share is refunded
+                { pubkey: tokenAccount, isSigner: false, isWritable: true },
+                { pubkey: reserveAddress, isSigner: false, isWritable: false },
+                { pubkey: config.SOLEND_LENDING_MARKET, isSigner: false, isWritable: false },
+                { pubkey: payer, isSigner: true, isWritable: false },
+                { pubkey: config.SYSVAR_INSTRUCTIONS_PUBKEY, isSigner: false, isWritable: false },
+                { pubkey: config.TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+            ],
+            // The borrow instruction index is set by the transaction assembler
+            data: Buffer.concat([Buffer.from([FLASH_REPAY_TAG]), u64(amount), Buffer.from([0])])
+        })];
+    },
+    
+    setInstructionIndexes: function({ repayIxs }, { borrowIndex }) {
+        repayIxs[0].data.writeUInt8(borrowIndex, REPAY_BORROW_INDEX_OFFSET);
+    },
+    
+    /**
+     * @returns {string|null} Why the borrow and repay do not pair up, or null if they do
+     */
+    checkPairing: function({ borrowIxs, repayIxs }, { borrowIndex }) {
+        const [borrowIx] = borrowIxs;
+        const [repayIx] = repayIxs;
+        
+        if (borrowIx.data[0] !== FLASH_BORROW_TAG || repayIx.data[0] !== FLASH_REPAY_TAG) {
+            return "instructions are not flash borrow and flash repay";
+        }
+        if (!borrowIx.data.subarray(1, 9).equals(repayIx.data.subarray(1, 9))) {
+            return "repay amount differs from the borrowed amount";
+        }
+        if (!borrowIx.keys[2].pubkey.equals(repayIx.keys[4].pubkey)) {
+            return "borrow and repay use different reserves";
+        }
+        if (repayIx.data.readUInt8(REPAY_BORROW_INDEX_OFFSET) !== borrowIndex) {
+            return `repay points at instruction ${repayIx.data.readUInt8(REPAY_BORROW_INDEX_OFFSET)}, borrow is at ${borrowIndex}`;
+        }
+        return null;
+    },
+    
+    getPoolAddress: function(mint) {
+        return solendProvider.getReserveAddress(mint);
+    },
+    
+    requiredLookupAccounts: function(mint) {
+        const accounts = [
+            config.SOLEND_PROGRAM_ID,
+            config.SOLEND_LENDING_MARKET,
+            solendProvider.getLendingMarketAuthority(),
+            solendProvider.getReserveAddress(mint)
+        ];
+        const state = solendProvider.getCachedState(mint);
+        if (state) {
+            accounts.push(state.liquiditySupply, state.feeReceiver);
+        }
+        return accounts;
+    },
+    
+    getMints: function() {
+        return (config.SOLEND_RESERVES || []).map(reserve => new PublicKey(reserve.mint));
+    }
+};
+
+module.exports = solendProvider;
@@ -0,0 +1,103 @@
+/**
+ * Assembles flash-loan transactions from ordered instruction groups
+ * A group is { name, instructions }; the borrow and repay groups also carry
+ * role ("borrow" or "repay") and the flashLoan built by flashLoanProviders.
+ * Borrow and repay refer to each other by absolute position, so the indexes
+ * are patched once every group is in place and checked before signing.
+ */
+const transactionAssembler = {
+    /**
+     * Flatten the groups and fix up the flash loan instruction indexes
+     * @param {Array<{name: string, instructions: Array<TransactionInstruction>, role?: string, flashLoan?: Object}>} groups Instruction groups in transaction order
+     * @returns {{instructions: Array<TransactionInstruction>, borrowIndex: number|null, endIndex: number|null, layout: Array<string>}}
+     * @throws {Error} When the borrow and repay groups are missing, misordered or do not pair up
+     */
+    assemble: function(groups) {
+        const instructions = [];
+        const layout = [];
+        let borrowGroup = null;
+        let repayGroup = null;
+        let borrowIndex = null;
+        let endIndex = null;
+        
+        for (const group of groups) {
+            if (!group.instructions || group.instructions.length === 0) {
+                if (group.role) {
+                    throw new Error(`Flash loan ${group.role} group "${group.name}" has no instructions`);
+                }
+                continue;
+            }
+            
+            if (group.role === "borrow") {
+                if (borrowGroup) {
+                    throw new Error(`Second borrow group "${group.name}" (only one flash loan per transaction)`);
+                }
+                borrowGroup = group;
+                borrowIndex = instructions.length;
+            } else if (group.role === "repay") {
+                if (!borrowGroup) {
+                    throw new Error(`Repay group "${group.name}" comes before its borrow group`);
+                }
+                if (repayGroup) {
+                    throw new Error(`Second repay group "${group.name}" (only one flash loan per transaction)`);
+                }
+                repayGroup = group;
+            }
+            
+            instructions.push(...group.instructions);
+            layout.push(`${group.name} [${instructions.length - group.instructions.length}-${instructions.length - 1}]`);
+            
+            if (group.role === "repay") {
+                endIndex = instructions.length - 1;
+            }
+        }
+        
+        if (borrowGroup || repayGroup) {
+            if (!repayGroup) {
+                throw new Error(`Borrow group "${borrowGroup.name}" has no repay group`);
+            }
+            
+            transactionAssembler.pairFlashLoan(borrowGroup, repayGroup, borrowIndex, endIndex);
+        }
+        
+        return { instructions, borrowIndex, endIndex, layout };
+    },
+    
+    /**
+     * Patch the borrow and repay instructions for their final positions and validate them
+     * @throws {Error} When the groups do not form one valid flash loan
+     */
+    pairFlashLoan: function(borrowGroup, repayGroup, borrowIndex, endIndex) {
+        const flashLoan = borrowGroup.flashLoan;
+        if (!flashLoan || flashLoan !== repayGroup.flashLoan) {
+            throw new Error(`Borrow group "${borrowGroup.name}" and repay group "${repayGroup.name}" belong to different flash loans`);
+        }
+        
+        const provider = flashLoan.provider;
+        if (borrowGroup.instructions !== flashLoan.borrowIxs || repayGroup.instructions !== flashLoan.repayIxs) {
+            throw new Error(`Flash loan groups do not hold the ${provider.name} borrow and repay instructions`);
+        }
+        if (flashLoan.borrowIxs.length !== provider.borrowInstructionCount || flashLoan.repayIxs.length !== provider.repayInstructionCount) {
+            throw new Error(`${provider.name} expects ${provider.borrowInstructionCount} borrow and ${provider.repayInstructionCount} repay instructions`);
+        }
+        
+        const foreign = [...flashLoan.borrowIxs, ...flashLoan.repayIxs].find(ix => !ix.programId.equals(provider.programId));
+        if (foreign) {
+            throw new Error(`Flash loan group contains an instruction for ${foreign.programId.toBase58()}, not ${provider.name}`);
+        }
+        
+        // Index fields are a single byte in the Kamino and Solend repay instructions
+        if (borrowIndex > 255) {
+            throw new Error(`Borrow instruction index ${borrowIndex} does not fit the repay instruction`);
+        }
+        
+        provider.setInstructionIndexes(flashLoan, { borrowIndex, endIndex });
+        
+        const pairingError = provider.checkPairing(flashLoan, { borrowIndex, endIndex });
+        if (pairingError) {
+            throw new Error(`Invalid ${provider.name} flash loan: ${pairingError}`);
+        }
+    }
+};
+
+module.exports = transactionAssembler;
@@ -0,0 +1,175 @@
+const { VersionedTransaction } = require('@solana/web3.js');
+const config = require('./config');
+const utils = require('./utils');
+
+// A blockhash expires after ~150 blocks; stop after this if the block height cannot be read and report the outcome as unknown
+const MAX_SEND_DURATION = 120000;
+
+/**
+ * Sends a signed transaction and rebroadcasts the same bytes until it is
+ * confirmed or its blockhash expires. Confirmation comes from a websocket
+ * signature subscription when the connection has one, with status polling
+ * as the fallback
+ */
+const transactionSender = {
+    /**
+     * Base58 signature of the fee payer, known before anything is sent
+     * @param {Transaction|VersionedTransaction} transaction Signed transaction
+     * @returns {string}
+     */
+    getSignature: function(transaction) {
+        const signature = transaction instanceof VersionedTransaction ? transaction.signatures[0] : transaction.signature;
+        return utils.base58Encode(signature);
+    },
+    
+    /**
+     * Watch the signature over the websocket
+     * @returns {{promise: Promise<Object>, cancel: Function}} Resolves with the confirmed status
+     */
+    subscribe: function(connection, signature) {
+        let subscriptionId = null;
+        let cancel = () => {};
+        
+        const promise = new Promise(resolve => {
+            if (typeof connection.onSignature !== 'function') {
+                return;
+            }
+            
+            try {
+                subscriptionId = connection.onSignature(signature, (result, context) => {
+                    subscriptionId = null;
+                    resolve({ err: result.err, slot: context.slot, confirmationStatus: 'confirmed' });
+                }, 'confirmed');
+                
+                cancel = () => {
+                    if (subscriptionId !== null) {
+                        connection.removeSignatureListener(subscriptionId).catch(() => {});
+                        subscriptionId = null;
+                    }
+                };
+            } catch (error) {
+                console.log(`Signature subscription unavailable, polling instead: ${error.message}`);
+            }
+        });
+        
+        return { promise, cancel: () => cancel() };
+    },
+    
+    /**
+     * Confirmed status of the signature, or null while it has not landed
+     */
+    getLandedStatus: async function(connection, signature) {
+        const { value } = await connection.getSignatureStatuses([signature]);
+        const status = value && value[0];
+        
+        if (status && (status.err || status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+            return { err: status.err, slot: status.slot, confirmationStatus: status.confirmationStatus };
+        }
+        return null;
+    },
+    
+    /**
+     * Program logs of a landed transaction
+     * @returns {Promise<Array<string>>}
+     */
+    getLogs: async function(connection, signature) {
+        try {
+            const transaction = await connection.getTransaction(signature, {
+                commitment: 'confirmed',
+                maxSupportedTransactionVersion: 0
+            });
+            return (transaction && transaction.meta && transaction.meta.logMessages) || [];
+        } catch (error) {
+            console.error("Error fetching transaction logs:", error.message);
+            return [];
+        }
+    },
+    
+    /**
+     * Final result of a landed transaction
+     */
+    toResult: async function(connection, signature, landed) {
+        if (landed.err) {
+            const logs = await transactionSender.getLogs(connection, signature);
+            console.error(`Transaction ${signature} landed in slot ${landed.slot} with error: ${JSON.stringify(landed.err)}`);
+            logs.slice(-10).forEach(line => console.error(`  ${line}`));
+            
+            return { status: "landed-err", signature, slot: landed.slot, error: `Transaction failed: ${JSON.stringify(landed.err)}`, logs };
+        }
+        
+        console.log(`Transaction ${signature} landed in slot ${landed.slot} (${landed.confirmationStatus})`);
+        return { status: "landed-ok", signature, slot: landed.slot, confirmationStatus: landed.confirmationStatus };
+    },
+    
+    /**
+     * Send and rebroadcast every TX_RESEND_INTERVAL until the transaction lands or
+     * the block height passes lastValidBlockHeight
+     * @param {Connection} connection Solana connection
+     * @param {Transaction|VersionedTransaction} transaction Signed transaction
+     * @param {number} lastValidBlockHeight Last block height its blockhash is valid for
+     * @returns {Promise<{status: string, signature: string, slot?: number, confirmationStatus?: string, error?: string, logs?: Array<string>}>}
+     *          status is "landed-ok", "landed-err" (with the program logs), "expired" once the block height
+     *          passed lastValidBlockHeight, or "unknown" when neither could be confirmed within MAX_SEND_DURATION
+     */
+    sendUntilExpiry: async function(connection, transaction, lastValidBlockHeight) {
+        const signature = transactionSender.getSignature(transaction);
+        const rawTransaction = transaction.serialize();
+        const deadline = Date.now() + MAX_SEND_DURATION;
+        const subscription = transactionSender.subscribe(connection, signature);
+        
+        let landed = null;
+        subscription.promise.then(status => {
+            landed = status;
+        });
+        
+        console.log(`Sending ${signature} until block height ${lastValidBlockHeight}...`);
+        
+        try {
+            let sends = 0;
+            while (Date.now() < deadline) {
+                if (!landed) {
+                    try {
+                        // Our own rebroadcast replaces the RPC node's retry queue
+                        await connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+                        sends++;
+                    } catch (error) {
+                        console.error(`Error sending transaction (attempt ${sends + 1}):`, error.message);
+                    }
+                }
+                
+                // Wait for the websocket, polling the status when the interval passes
+                await Promise.race([subscription.promise, utils.sleep(config.TX_RESEND_INTERVAL)]);
+                
+                try {
+                    landed = landed || await transactionSender.getLandedStatus(connection, signature);
+                    if (landed) {
+                        console.log(`Transaction sent ${sends} time(s)`);
+                        return transactionSender.toResult(connection, signature, landed);
+                    }
+                    
+                    const blockHeight = await connection.getBlockHeight('confirmed');
+                    if (blockHeight > lastValidBlockHeight) {
+                        // It may still have landed in the last blocks before expiry
+                        landed = await transactionSender.getLandedStatus(connection, signature);
+                        if (landed) {
+                            return transactionSender.toResult(connection, signature, landed);
+                        }
+                        
+                        console.error(`Transaction ${signature} expired without landing`);
+                        return { status: "expired", signature, error: "Blockhash expired before the transaction landed" };
+                    }
+                } catch (error) {
+                    console.error("Error checking transaction status:", error.message);
+                }
+            }
+        } finally {
+            subscription.cancel();
+        }
+        
+        // Status or block height checks kept failing, so the transaction may still land
+        console.error(`Transaction ${signature} not confirmed or expired within ${MAX_SEND_DURATION / 1000}s`);
+        return { status: "unknown", signature, error: "Could not confirm whether the transaction landed or expired; it may still land" };
+    }
+};
+
+module.exports = transactionSender;
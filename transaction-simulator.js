@@ -0,0 +1,120 @@
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const config = require('./config');
+
+// Byte offset of the amount field in an SPL token account
+const TOKEN_ACCOUNT_AMOUNT_OFFSET = 64;
+
+/**
+ * Pre-send simulation gate for flash-loan transactions
+ */
+const transactionSimulator = {
+    /**
+     * Read the amount of an SPL token account from raw account data
+     * @param {Buffer} data Token account data
+     * @returns {bigint} Token amount
+     */
+    readTokenAmount: function(data) {
+        if (!data || data.length < TOKEN_ACCOUNT_AMOUNT_OFFSET + 8) {
+            return 0n;
+        }
+        return data.readBigUInt64LE(TOKEN_ACCOUNT_AMOUNT_OFFSET);
+    },
+    
+    /**
+     * Convert a legacy transaction into a versioned one so both can be simulated the same way
+     */
+    toVersionedTransaction: function(transaction) {
+        if (transaction instanceof VersionedTransaction) {
+            return transaction;
+        }
+        return new VersionedTransaction(transaction.compileMessage());
+    },
+    
+    /**
+     * Base fee the transaction pays for its signatures
+     * @returns {number} Fee in lamports
+     */
+    getBaseFee: function(transaction) {
+        const signatures = transactionSimulator.toVersionedTransaction(transaction).message.header.numRequiredSignatures;
+        return signatures * config.BASE_FEE_LAMPORTS_PER_SIGNATURE;
+    },
+    
+    /**
+     * Simulate a flash-loan transaction and check the loan token account delta
+     * @param {Connection} connection Solana connection
+     * @param {Transaction|VersionedTransaction} transaction Signed transaction
+     * @param {Object} params Profit requirements
+     * @param {PublicKey} params.tokenAccount Token account receiving the loan (WSOL for SOL loans)
+     * @param {number|string} params.loanAmount Flash loan amount in the token's base units
+     * @param {number} params.flashLoanFee Kamino flash loan fee in the token's base units
+     * @param {number} params.additionalCosts SOL costs paid outside the token account (Jito tip, priority fee, base fee) in the loan token's base units
+     * @param {number} params.minNetProfit Required profit on top, MIN_NET_PROFIT_LAMPORTS by default
+     * @returns {Promise<{ok: boolean, error?: string, unitsConsumed?: number, tokenDelta?: number, logs?: Array<string>}>}
+     */
+    simulateFlashLoan: async function(connection, transaction, { tokenAccount, loanAmount, flashLoanFee, additionalCosts = 0, minNetProfit = config.MIN_NET_PROFIT_LAMPORTS }) {
+        try {
+            const tokenPubkey = tokenAccount instanceof PublicKey ? tokenAccount : new PublicKey(tokenAccount);
+            
+            // Loan token balance before the transaction
+            const preAccount = await connection.getAccountInfo(tokenPubkey, 'processed');
+            const preBalance = transactionSimulator.readTokenAmount(preAccount ? preAccount.data : null);
+            
+            console.log("Simulating transaction before sending...");
+            const simulation = await connection.simulateTransaction(
+                transactionSimulator.toVersionedTransaction(transaction),
+                {
+                    sigVerify: false,
+                    commitment: 'processed',
+                    accounts: {
+                        encoding: 'base64',
+                        addresses: [tokenPubkey.toBase58()]
+                    }
+                }
+            );
+            
+            const { err, logs, unitsConsumed, accounts } = simulation.value;
+            
+            if (err) {
+                console.error("Simulation failed:", JSON.stringify(err));
+                if (logs) {
+                    console.error("Simulation logs (last 10):");
+                    logs.slice(-10).forEach(line => console.error(`  ${line}`));
+                }
+                return { ok: false, error: `Simulation error: ${JSON.stringify(err)}`, unitsConsumed, logs };
+            }
+            
+            const postAccount = accounts && accounts[0];
+            if (!postAccount) {
+                return { ok: false, error: "Simulation did not return the loan token account", unitsConsumed, logs };
+            }
+            
+            const postBalance = transactionSimulator.readTokenAmount(Buffer.from(postAccount.data[0], 'base64'));
+            const tokenDelta = Number(postBalance - preBalance);
+            
+            // The repay instruction has already taken back the loan plus fee, so
+            // what the swaps returned is the delta plus both of those
+            const returned = tokenDelta + parseInt(loanAmount) + flashLoanFee;
+            const required = parseInt(loanAmount) + flashLoanFee + additionalCosts + minNetProfit;
+            
+            console.log(`Simulation OK: ${unitsConsumed} compute units, loan token delta ${tokenDelta}`);
+            console.log(`Simulated return: ${returned}, required: ${required} (loan + fee + ${additionalCosts} costs + ${minNetProfit} min net profit)`);
+            
+            if (returned < required) {
+                return {
+                    ok: false,
+                    error: `Simulated return ${returned} does not cover loan, fee and minimum net profit (${required})`,
+                    unitsConsumed,
+                    tokenDelta,
+                    logs
+                };
+            }
+            
+            return { ok: true, unitsConsumed, tokenDelta, logs };
+        } catch (error) {
+            console.error("Error simulating transaction:", error.message);
+            return { ok: false, error: `Simulation request failed: ${error.message}` };
+        }
+    }
+};
+
+module.exports = transactionSimulator;
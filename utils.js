@@ -9,6 +9,10 @@ const {
 } = require('@solana/web3.js');
 const BN = require('bn.js');
 const config = require('./config');
+const signingGuard = require('./signing-guard');
+const flashReserves = require('./flash-reserves');
+const jitoTips = require('./jito-tips');
+const blockhashCache = require('./blockhash-cache');
 
 // Base58 alphabet and map for encoding/decoding
 const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
@@ -244,7 +248,8 @@ const utils = {
     },
     
     // Create a flash loan instruction set that has both borrow and repay in the same transaction
-    createFlashLoanInstructionSet: function(walletPubkey, tokenAccount, amount) {
+    // Borrows from the given reserve (see flash-reserves.js), SOL by default
+    createFlashLoanInstructionSet: function(walletPubkey, tokenAccount, amount, reserve = flashReserves.getSolReserve(), borrowInstructionIndex = 2) {
         try {
             // Validate inputs
             if (!walletPubkey) {
@@ -281,7 +286,7 @@ const utils = {
             // Convert amount to BN if it's not already
             const amountBN = typeof amount === 'string' ? new BN(amount) : new BN(amount.toString());
             
-            console.log(`Creating flash loan instruction set for wallet: ${walletPublicKey.toBase58()}, token account: ${tokenPublicKey.toBase58()}, amount: ${amountBN.toString()}`);
+            console.log(`Creating flash loan instruction set for wallet: ${walletPublicKey.toBase58()}, token account: ${tokenPublicKey.toBase58()}, amount: ${amountBN.toString()}, reserve: ${reserve.name}`);
             
             // Create the borrow instruction
             const borrowData = Buffer.from(config.FLASH_BORROW_RESERVE_LIQUIDITY_DISCRIMINATOR);
@@ -291,13 +296,13 @@ const utils = {
 
             const borrowKeys = [
                 { pubkey: walletPublicKey, isSigner: true, isWritable: true },
-                { pubkey: config.KAMINO_LENDING_MARKET_AUTHORITY, isSigner: false, isWritable: false },
-                { pubkey: config.KAMINO_LENDING_MARKET, isSigner: false, isWritable: false },
-                { pubkey: config.KAMINO_SOL_RESERVE, isSigner: false, isWritable: true },
-                { pubkey: config.WSOL_MINT, isSigner: false, isWritable: false },
-                { pubkey: config.KAMINO_SOL_RESERVE_LIQUIDITY, isSigner: false, isWritable: true },
+                { pubkey: reserve.lendingMarketAuthority, isSigner: false, isWritable: false },
+                { pubkey: reserve.lendingMarket, isSigner: false, isWritable: false },
+                { pubkey: reserve.reserve, isSigner: false, isWritable: true },
+                { pubkey: reserve.mint, isSigner: false, isWritable: false },
+                { pubkey: reserve.liquiditySupply, isSigner: false, isWritable: true },
                 { pubkey: tokenPublicKey, isSigner: false, isWritable: true },
-                { pubkey: config.KAMINO_SOL_FEE_RECEIVER, isSigner: false, isWritable: true },
+                { pubkey: reserve.feeReceiver, isSigner: false, isWritable: true },
                 { pubkey: config.KAMINO_REFERRER_TOKEN_STATE, isSigner: false, isWritable: false },
                 { pubkey: config.KAMINO_REFERRER_ACCOUNT, isSigner: false, isWritable: false },
                 { pubkey: config.SYSVAR_INSTRUCTIONS_PUBKEY, isSigner: false, isWritable: false },
@@ -316,20 +321,20 @@ const utils = {
             amountBN.toBuffer('le', 8).copy(repayAmountBuffer);
             const borrowInstructionIndexBuffer = Buffer.alloc(1);
             
-            // Account for compute budget instructions (2) before the borrow instruction
-            borrowInstructionIndexBuffer.writeUInt8(2);  // FIXED: Change from 0 to 2
+            // Defaults to 2 (after the compute budget instructions); transactionAssembler patches it to the real position
+            borrowInstructionIndexBuffer.writeUInt8(borrowInstructionIndex);
             
             const repayData_complete = Buffer.concat([repayData, repayAmountBuffer, borrowInstructionIndexBuffer]);
             
             const repayKeys = [
                 { pubkey: walletPublicKey, isSigner: true, isWritable: true },
-                { pubkey: config.KAMINO_LENDING_MARKET_AUTHORITY, isSigner: false, isWritable: false },
-                { pubkey: config.KAMINO_LENDING_MARKET, isSigner: false, isWritable: false },
-                { pubkey: config.KAMINO_SOL_RESERVE, isSigner: false, isWritable: true },
-                { pubkey: config.WSOL_MINT, isSigner: false, isWritable: false },
-                { pubkey: config.KAMINO_SOL_RESERVE_LIQUIDITY, isSigner: false, isWritable: true },
+                { pubkey: reserve.lendingMarketAuthority, isSigner: false, isWritable: false },
+                { pubkey: reserve.lendingMarket, isSigner: false, isWritable: false },
+                { pubkey: reserve.reserve, isSigner: false, isWritable: true },
+                { pubkey: reserve.mint, isSigner: false, isWritable: false },
+                { pubkey: reserve.liquiditySupply, isSigner: false, isWritable: true },
                 { pubkey: tokenPublicKey, isSigner: false, isWritable: true },
-                { pubkey: config.KAMINO_SOL_FEE_RECEIVER, isSigner: false, isWritable: true },
+                { pubkey: reserve.feeReceiver, isSigner: false, isWritable: true },
                 { pubkey: config.KAMINO_REFERRER_TOKEN_STATE, isSigner: false, isWritable: false },
                 { pubkey: config.KAMINO_REFERRER_ACCOUNT, isSigner: false, isWritable: false },
                 { pubkey: config.SYSVAR_INSTRUCTIONS_PUBKEY, isSigner: false, isWritable: false },
@@ -573,7 +578,7 @@ const utils = {
     // Enhanced createJitoTipTransaction function with better error handling
     createJitoTipTransaction: async function(tipAmount, payer, connection) {
         try {
-            console.log(`Creating Jito tip transaction of ${tipAmount} lamports to ${config.JITO_TIP_ACCOUNT}`);
+            console.log(`Creating Jito tip transaction of ${tipAmount} lamports`);
             
             // Validate inputs
             if (!tipAmount || tipAmount <= 0) {
@@ -591,36 +596,21 @@ const utils = {
                 return null;
             }
             
-            // Ensure the tip account is a valid PublicKey
+            // Random tip account from the configured set
             let tipAccountPubkey;
             try {
-                tipAccountPubkey = new PublicKey(config.JITO_TIP_ACCOUNT);
+                tipAccountPubkey = jitoTips.pickTipAccount();
             } catch (error) {
-                console.error(`Invalid Jito tip account address: ${config.JITO_TIP_ACCOUNT}`, error.message);
+                console.error("Invalid Jito tip account:", error.message);
                 return null;
             }
             
-            // Get a recent blockhash with retry logic
+            // Prefetched blockhash
             let blockhash;
-            let retries = 3;
-            while (retries > 0) {
-                try {
-                    const blockhashResponse = await connection.getLatestBlockhash('confirmed');
-                    blockhash = blockhashResponse.blockhash;
-                    if (blockhash) break;
-                } catch (error) {
-                    console.error(`Error getting blockhash (retries left: ${retries}):`, error.message);
-                    retries--;
-                    if (retries <= 0) {
-                        console.error("Failed to get blockhash after all retries");
-                        return null;
-                    }
-                    await utils.sleep(1000); // Wait before retrying
-                }
-            }
-            
-            if (!blockhash) {
-                console.error("Failed to get a valid blockhash");
+            try {
+                blockhash = blockhashCache.get().blockhash;
+            } catch (error) {
+                console.error("Failed to get a valid blockhash:", error.message);
                 return null;
             }
             
@@ -638,7 +628,7 @@ const utils = {
             transaction.add(tipInstruction);
             
             // Sign transaction
-            transaction.sign(payer);
+            signingGuard.sign(transaction, payer);
             
             console.log(`Created tip transaction for ${tipAmount} lamports to ${tipAccountPubkey.toBase58()}`);
             return transaction;
@@ -723,7 +713,7 @@ const utils = {
             console.log(`Lookup table address: ${lookupTableAddress.toBase58()}`);
             
             // Build and send transaction to create table
-            const { blockhash } = await connection.getLatestBlockhash();
+            const { blockhash } = blockhashCache.get();
             const messageV0 = new TransactionMessage({
                 payerKey: payer.publicKey,
                 recentBlockhash: blockhash,
@@ -733,7 +723,7 @@ const utils = {
             const createTableTx = new VersionedTransaction(messageV0);
             
             // Sign and send the transaction
-            createTableTx.sign([payer]);
+            signingGuard.sign(createTableTx, [payer]);
             const createTableTxId = await connection.sendTransaction(createTableTx);
             
             // Wait for confirmation
@@ -753,7 +743,7 @@ const utils = {
                     addresses: batch
                 });
                 
-                const { blockhash: newBlockhash } = await connection.getLatestBlockhash();
+                const { blockhash: newBlockhash } = blockhashCache.get();
                 const extendMessageV0 = new TransactionMessage({
                     payerKey: payer.publicKey,
                     recentBlockhash: newBlockhash,
@@ -763,7 +753,7 @@ const utils = {
                 const extendTx = new VersionedTransaction(extendMessageV0);
                 
                 // Sign and send the transaction
-                extendTx.sign([payer]);
+                signingGuard.sign(extendTx, [payer]);
                 const extendTxId = await connection.sendTransaction(extendTx);
                 
                 // Wait for confirmation
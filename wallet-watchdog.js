@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const signingGuard = require('./signing-guard');
+const flashReserves = require('./flash-reserves');
+const utils = require('./utils');
+const exchange = require('./exchange');
+
+// Location of the kill-switch file that blocks restarts after a trip
+const KILL_SWITCH_FILE = path.join(__dirname, config.KILL_SWITCH_FILE || 'kill_switch.json');
+
+// Offset of the u64 amount in an SPL token account
+const TOKEN_AMOUNT_OFFSET = 64;
+
+// Watchdog state
+let startingHoldings = null;
+let startingValue = null;
+// Lamports per base unit of each non-SOL loan token, quoted once at startup
+const tokenRates = {};
+let tripped = false;
+let watchedPayer = null;
+let watchedConnection = null;
+
+/**
+ * Wallet drawdown circuit breaker
+ * Records the wallet's value at startup and trips a persistent kill switch when
+ * it loses more than the configured lamports or percentage. The value is native
+ * SOL plus the token accounts of every loan token, since arbitrage profit lands
+ * in those accounts while fees, tips and rent are paid in native SOL
+ */
+const walletWatchdog = {
+    /**
+     * Check whether an operator still has to clear the kill switch
+     * @returns {Object|null} Kill-switch record, or null when not set
+     */
+    readKillSwitch: function() {
+        try {
+            if (!fs.existsSync(KILL_SWITCH_FILE)) {
+                return null;
+            }
+            
+            return JSON.parse(fs.readFileSync(KILL_SWITCH_FILE, 'utf8'));
+        } catch (error) {
+            // An unreadable kill-switch file still blocks trading
+            return { reason: `Unreadable kill-switch file: ${error.message}` };
+        }
+    },
+    
+    /**
+     * Token accounts the watchdog tracks: the wallet's account for each loan token
+     * @returns {Array<{reserve: Object, address: PublicKey}>} Watched accounts
+     */
+    getWatchedAccounts: function() {
+        return flashReserves.getReserves().map(reserve => ({
+            reserve,
+            address: utils.getAssociatedTokenAddress(reserve.mint, watchedPayer.publicKey)
+        }));
+    },
+    
+    /**
+     * Read native SOL and every watched token account in one request
+     * A token account that does not exist counts as empty
+     * @returns {Promise<Object>} { native, tokens: { [name]: { lamports, amount } } }
+     */
+    readHoldings: async function() {
+        const accounts = walletWatchdog.getWatchedAccounts();
+        const infos = await watchedConnection.getMultipleAccountsInfo([
+            watchedPayer.publicKey,
+            ...accounts.map(account => account.address)
+        ]);
+        
+        const holdings = { native: infos[0] ? infos[0].lamports : 0, tokens: {} };
+        accounts.forEach((account, index) => {
+            const info = infos[index + 1];
+            holdings.tokens[account.reserve.name] = {
+                lamports: info ? info.lamports : 0,
+                amount: info ? Number(info.data.readBigUInt64LE(TOKEN_AMOUNT_OFFSET)) : 0
+            };
+        });
+        
+        return holdings;
+    },
+    
+    /**
+     * Quote each non-SOL loan token in SOL once, so later checks value it at the startup price
+     * A token that cannot be quoted is checked against its reserve's maxDrawdown instead
+     */
+    quoteTokenRates: async function() {
+        for (const reserve of flashReserves.getReserves()) {
+            if (reserve.isNative) {
+                continue;
+            }
+            
+            const quote = await exchange.getJupiterQuote(
+                reserve.mint.toBase58(),
+                config.WSOL_MINT.toBase58(),
+                reserve.loanAmount,
+                watchedConnection
+            );
+            
+            if (quote && parseInt(quote.inAmount) > 0) {
+                tokenRates[reserve.name] = parseInt(quote.outAmount) / parseInt(quote.inAmount);
+            } else {
+                console.error(`Could not price ${reserve.name} in SOL, checking it against its own limit (maxDrawdown)`);
+            }
+        }
+    },
+    
+    /**
+     * Value holdings in lamports: native SOL, the lamports held by each token
+     * account (rent, and the wrapped amount for WSOL) and priced token amounts
+     * Tokens without a startup price are left out of the total
+     * @returns {number} Value in lamports
+     */
+    valueHoldings: function(holdings) {
+        let value = holdings.native;
+        
+        for (const reserve of flashReserves.getReserves()) {
+            const token = holdings.tokens[reserve.name];
+            value += token.lamports;
+            
+            if (!reserve.isNative && tokenRates[reserve.name] !== undefined) {
+                value += Math.floor(token.amount * tokenRates[reserve.name]);
+            }
+        }
+        
+        return value;
+    },
+    
+    /**
+     * Record the starting value and watch every signed transaction
+     * @returns {Promise<boolean>} False when the kill switch is set
+     */
+    start: async function(payer, connection) {
+        const killSwitch = walletWatchdog.readKillSwitch();
+        if (killSwitch) {
+            console.error(`Kill switch is active: ${killSwitch.reason}`);
+            if (killSwitch.timestamp) {
+                console.error(`Tripped at ${killSwitch.timestamp}`);
+            }
+            console.error(`Review the wallet, then delete ${KILL_SWITCH_FILE} to allow the bot to start again.`);
+            return false;
+        }
+        
+        watchedPayer = payer;
+        watchedConnection = connection;
+        await walletWatchdog.quoteTokenRates();
+        startingHoldings = await walletWatchdog.readHoldings();
+        startingValue = walletWatchdog.valueHoldings(startingHoldings);
+        
+        console.log(`Drawdown watchdog armed at ${startingValue/1000000000} SOL (native SOL and loan-token accounts)`);
+        console.log(`Max drawdown: ${config.MAX_DRAWDOWN_LAMPORTS} lamports or ${config.MAX_DRAWDOWN_PERCENTAGE}%`);
+        
+        // Re-check once each signed transaction has had time to land
+        signingGuard.onSigned(() => {
+            const timer = setTimeout(() => {
+                walletWatchdog.checkBalance("after signed transaction")
+                    .catch(error => console.error("Error in drawdown check:", error.message));
+            }, config.WATCHDOG_POST_SIGN_DELAY);
+            timer.unref();
+        });
+        
+        return true;
+    },
+    
+    /**
+     * Compare the current value against the starting value, and each unpriced
+     * token against its reserve's maxDrawdown
+     * @param {string} context Where the check was triggered from, for logging
+     * @returns {Promise<boolean>} True while the wallet is within limits
+     */
+    checkBalance: async function(context = "periodic check") {
+        if (tripped) {
+            return false;
+        }
+        
+        if (startingValue === null) {
+            return true;
+        }
+        
+        const holdings = await walletWatchdog.readHoldings();
+        const value = walletWatchdog.valueHoldings(holdings);
+        const loss = startingValue - value;
+        const lossPercentage = startingValue > 0 ? (loss / startingValue) * 100 : 0;
+        
+        if (config.VERBOSE_DEBUG) {
+            console.log(`Drawdown check (${context}): ${value/1000000000} SOL, change ${-loss} lamports`);
+        }
+        
+        if (loss > config.MAX_DRAWDOWN_LAMPORTS || lossPercentage > config.MAX_DRAWDOWN_PERCENTAGE) {
+            walletWatchdog.trip(`Wallet lost ${loss} lamports (${lossPercentage.toFixed(2)}%) since startup`, {
+                context,
+                startingValue,
+                value,
+                loss,
+                lossPercentage,
+                startingHoldings,
+                holdings
+            });
+            return false;
+        }
+        
+        for (const reserve of flashReserves.getReserves()) {
+            if (reserve.isNative || tokenRates[reserve.name] !== undefined || !reserve.maxDrawdown) {
+                continue;
+            }
+            
+            const tokenLoss = startingHoldings.tokens[reserve.name].amount - holdings.tokens[reserve.name].amount;
+            if (tokenLoss > parseInt(reserve.maxDrawdown)) {
+                walletWatchdog.trip(`Wallet lost ${flashReserves.formatAmount(reserve, tokenLoss)} since startup`, {
+                    context,
+                    token: reserve.name,
+                    loss: tokenLoss,
+                    startingHoldings,
+                    holdings
+                });
+                return false;
+            }
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Stop all signing and write the kill-switch file
+     */
+    trip: function(reason, details = {}) {
+        if (tripped) {
+            return;
+        }
+        
+        tripped = true;
+        signingGuard.lock(`drawdown kill switch: ${reason}`);
+        
+        console.error("\n=== DRAWDOWN KILL SWITCH TRIPPED ===");
+        console.error(reason);
+        
+        const record = {
+            timestamp: new Date().toISOString(),
+            reason,
+            wallet: watchedPayer ? watchedPayer.publicKey.toBase58() : null,
+            ...details
+        };
+        
+        try {
+            fs.writeFileSync(KILL_SWITCH_FILE, JSON.stringify(record, null, 2));
+            console.error(`Kill switch written to ${KILL_SWITCH_FILE}. Delete it to allow the bot to start again.`);
+        } catch (error) {
+            console.error("Error writing kill-switch file:", error.message);
+        }
+    },
+    
+    isTripped: function() {
+        return tripped;
+    }
+};
+
+module.exports = walletWatchdog;